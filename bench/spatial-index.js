@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Spatial Index Benchmark
+ * Compare grid-indexed and brute-force geometry queries on dense scribbles
+ *
+ * Usage: node bench/spatial-index.js [scribbles=20] [points=1200]
+ * Exits 1 if the indexed path disagrees with brute force on any query.
+ */
+
+const {
+  BallotConfig,
+  BallotPreprocessing,
+  BallotIntersection,
+  BallotArmExtension,
+  BallotTopology,
+  BallotExplainedInk,
+  BallotSpatialIndex
+} = require('..');
+
+const scribbles = Number(process.argv[2]) || 20;
+const pointsPerScribble = Number(process.argv[3]) || 1200;
+
+/**
+ * Deterministic pseudo-random generator (LCG) so runs are comparable
+ * @param {number} seed - Seed value
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Random-walk scribble filling most of the vote box, split into a few strokes
+ * @param {number} seed - Seed value
+ * @returns {Array} Array of strokes
+ */
+function denseScribble(seed) {
+  const rnd = random(seed);
+  const box = BallotConfig.VOTE_BOX;
+  const strokes = [];
+  let stroke = [];
+  let x = box.x + box.width / 2;
+  let y = box.y + box.height / 2;
+  let heading = rnd() * Math.PI * 2;
+
+  for (let i = 0; i < pointsPerScribble; i++) {
+    heading += (rnd() - 0.5) * 1.6;
+    // Turn back at the box edge, as a hand filling the box would
+    const nx = x + Math.cos(heading) * 6;
+    const ny = y + Math.sin(heading) * 6;
+    if (nx < box.x + 10 || nx > box.x + box.width - 10 || ny < box.y + 10 || ny > box.y + box.height - 10) {
+      heading += Math.PI;
+      continue;
+    }
+    x = nx;
+    y = ny;
+    stroke.push({ x, y, t: i * 16 });
+    if (stroke.length >= pointsPerScribble / 4) {
+      strokes.push(stroke);
+      stroke = [];
+    }
+  }
+  if (stroke.length > 1) strokes.push(stroke);
+  return strokes;
+}
+
+/**
+ * Run a function and return its result with elapsed milliseconds
+ * @param {Function} fn - Function to time
+ * @returns {Object} {value, ms}
+ */
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const value = fn();
+  return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+const totals = { brute: 0, indexed: 0, build: 0 };
+const mismatches = [];
+let segmentCount = 0;
+let intersectionCount = 0;
+
+for (let s = 1; s <= scribbles; s++) {
+  const processed = denseScribble(s).map(stroke =>
+    BallotPreprocessing.simplifyRDP(
+      BallotPreprocessing.resampleStroke(stroke, BallotConfig.RESAMPLE_STEP_PX),
+      BallotConfig.SIMPLIFY_EPSILON_PX));
+  const segments = BallotIntersection.buildSegments(processed);
+  segmentCount += segments.length;
+
+  const built = time(() => BallotSpatialIndex.build(segments, BallotConfig));
+  const index = built.value;
+  totals.build += built.ms;
+
+  // Same queries as validateMark: every intersection gets arm extension, best one topology + explained ink
+  const run = (idx) => {
+    const intersections = BallotIntersection.findAllIntersections(segments, BallotConfig, idx);
+    const arms = intersections.map(inter => BallotArmExtension.measure4ArmExtension(
+      inter, inter.seg1, inter.seg2, processed, BallotConfig, idx));
+    const probe = intersections.length > 0
+      ? { point: intersections[0], armAngles: arms[0].armAngles }
+      : { point: segments[0].p1, armAngles: [0, 180, 90, 270] };
+    return {
+      intersections: intersections.map(i => [i.x, i.y, i.angle, segments.indexOf(i.seg1), segments.indexOf(i.seg2)]),
+      extensions: arms.map(a => a.extensions),
+      branches: BallotTopology.countGlobalBranches(probe.point, processed, BallotConfig, idx),
+      explained: BallotExplainedInk.calculateExplainedInkRatio(probe, processed, segments, BallotConfig, idx)
+    };
+  };
+
+  const brute = time(() => run(null));
+  const indexed = time(() => run(index));
+  totals.brute += brute.ms;
+  totals.indexed += indexed.ms;
+  intersectionCount += brute.value.intersections.length;
+
+  if (JSON.stringify(brute.value) !== JSON.stringify(indexed.value)) {
+    mismatches.push(s);
+  }
+}
+
+console.log(`${scribbles} dense scribbles, up to ${pointsPerScribble} points each ` +
+            `(${segmentCount} segments, ${intersectionCount} intersections)`);
+console.log(`brute force: ${totals.brute.toFixed(1)} ms`);
+console.log(`grid index:  ${(totals.indexed + totals.build).toFixed(1)} ms ` +
+            `(build ${totals.build.toFixed(1)} ms, cell ${BallotConfig.SPATIAL_INDEX_CELL_PX} px)`);
+console.log(`speedup:     ${(totals.brute / (totals.indexed + totals.build)).toFixed(1)}x`);
+
+if (mismatches.length > 0) {
+  console.log(`MISMATCH on scribbles: ${mismatches.join(', ')}`);
+  process.exitCode = 1;
+} else {
+  console.log('results identical');
+}
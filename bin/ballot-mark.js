@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Interface
+ * Validate stroke files and run v1.0 test suites without a browser
+ *
+ * Exit codes: 0 = all marks valid / all tests passed,
+ *             1 = invalid mark or failed test, 2 = usage or input error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BallotValidation, BallotTestSuite, BallotProfiles, BallotTrace, BallotImage, BallotRaster } = require('..');
+
+const USAGE = `Usage:
+  ballot-mark validate <strokes.json|scan.png|scan.pgm>... [--profile=<id>] [--json|--tap|--junit]
+  ballot-mark test <suite.json>... [--profile=<id>] [--raster] [--metamorphic|--incremental] [--json|--tap|--junit]
+
+A strokes file holds an array of strokes, or an object with a "strokes" array.
+A PNG/PGM scan is traced into strokes; the image spans the whole logical canvas.
+With --raster, each test's strokes are rendered to a synthetic scan and traced
+back before validation; a test's "rasterExpected", when given, replaces its
+"expected" (what a scan cannot carry: pen pressure, gaps narrower than the ink).
+With --metamorphic, each test is re-run with its strokes reordered, drawn the
+other way, shifted a few pixels and mirrored, and fails if its verdict changes
+(the expected verdict is not checked).
+With --incremental, each test's strokes are validated one at a time, as the app
+does while a mark is drawn, and it fails unless the last verdict and reason match
+validating all strokes at once (ballot suites are skipped).
+A suite file uses the v1.0 format exported by test-recorder.html; its config
+block is applied on top of --profile (default: ${BallotProfiles.DEFAULT_PROFILE}).
+A suite with a "layout" holds whole ballots, validated box by box.
+
+Rule profiles: ${Object.keys(BallotProfiles.PROFILES).join(', ')}`;
+
+const FORMATS = ['text', 'json', 'tap', 'junit'];
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the node binary and script path
+ * @returns {Object} {command, files, format, profile, raster, metamorphic, incremental}
+ */
+function parseArgs(argv) {
+  const options = {
+    command: null, files: [], format: 'text', profile: BallotProfiles.DEFAULT_PROFILE, raster: false,
+    metamorphic: false, incremental: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '-h' || arg === '--help') {
+      options.command = 'help';
+    } else if (arg === '--raster') {
+      options.raster = true;
+    } else if (arg === '--metamorphic') {
+      options.metamorphic = true;
+    } else if (arg === '--incremental') {
+      options.incremental = true;
+    } else if (arg.startsWith('--profile=')) {
+      options.profile = arg.slice('--profile='.length);
+      if (!BallotProfiles.PROFILES[options.profile]) {
+        throw new UsageError('Unknown rule profile: ' + options.profile);
+      }
+    } else if (arg.startsWith('--')) {
+      const format = arg.slice(2);
+      if (!FORMATS.includes(format)) {
+        throw new UsageError('Unknown option: ' + arg);
+      }
+      options.format = format;
+    } else if (options.command === null) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @returns {*} Parsed JSON
+ */
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new UsageError(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Extract strokes from a strokes file
+ * @param {*} data - Parsed strokes file
+ * @param {string} file - File path (for error messages)
+ * @returns {Array} Array of strokes
+ */
+function strokesFromFile(data, file) {
+  const strokes = Array.isArray(data) ? data : data && data.strokes;
+  if (!Array.isArray(strokes) || !strokes.every(Array.isArray)) {
+    throw new UsageError(`${file}: expected an array of strokes`);
+  }
+  return strokes;
+}
+
+/**
+ * Read strokes from a strokes file or trace them from a PNG/PGM scan
+ * @param {string} file - File path
+ * @returns {Array} Array of strokes
+ */
+function readStrokes(file) {
+  if (!/\.(png|pgm)$/i.test(file)) {
+    return strokesFromFile(readJSON(file), file);
+  }
+
+  let image;
+  try {
+    image = BallotImage.decode(fs.readFileSync(file));
+  } catch (e) {
+    throw new UsageError(`Cannot read ${file}: ${e.message}`);
+  }
+  return BallotRaster.rasterToStrokes(image);
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe a verdict in one line
+ * @param {Object} verdict - {valid, invalid_type}
+ * @returns {string} Description
+ */
+function describeVerdict(verdict) {
+  const outcome = verdict.outcome === undefined ? ''
+    : ` [${verdict.outcome}${verdict.choice !== undefined && verdict.choice !== null ? ' ' + verdict.choice : ''}]`;
+  if (verdict.needs_review) return 'needs review' + outcome;
+  if (verdict.valid === null) return 'waiting' + outcome;
+  return (verdict.valid ? 'valid' : `invalid (${verdict.invalid_type})`) + outcome;
+}
+
+/**
+ * Format uniform report entries
+ * @param {Array} entries - Array of {name, suite, ok, detail, trace, data}
+ * @param {string} format - Output format
+ * @param {string} suiteName - Top-level name for JUnit output
+ * @returns {string} Report text
+ */
+function formatReport(entries, format, suiteName) {
+  if (format === 'json') {
+    return JSON.stringify(entries.map(e => e.data), null, 2);
+  }
+
+  if (format === 'tap') {
+    const lines = ['TAP version 13', `1..${entries.length}`];
+    entries.forEach((e, idx) => {
+      lines.push(`${e.ok ? 'ok' : 'not ok'} ${idx + 1} - ${e.name}`);
+      if (!e.ok) {
+        lines.push('  ---', `  message: ${JSON.stringify(e.detail)}`, '  ...');
+      }
+    });
+    return lines.join('\n');
+  }
+
+  if (format === 'junit') {
+    const failures = entries.filter(e => !e.ok).length;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${xmlEscape(suiteName)}" tests="${entries.length}" failures="${failures}">`
+    ];
+    const suites = [...new Set(entries.map(e => e.suite))];
+    for (const suite of suites) {
+      const members = entries.filter(e => e.suite === suite);
+      lines.push(`  <testsuite name="${xmlEscape(suite)}" tests="${members.length}" ` +
+                 `failures="${members.filter(e => !e.ok).length}">`);
+      for (const e of members) {
+        lines.push(`    <testcase classname="${xmlEscape(suite)}" name="${xmlEscape(e.name)}">`);
+        if (!e.ok) {
+          lines.push(`      <failure message="${xmlEscape(e.detail)}"/>`);
+        }
+        lines.push('    </testcase>');
+      }
+      lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n');
+  }
+
+  return entries.map(e => {
+    const line = `${e.ok ? 'PASS' : 'FAIL'}  ${e.name}  ${e.detail}`;
+    if (e.ok || !e.trace) return line;
+    return [line, ...BallotTrace.format(e.trace).map(l => '      ' + l)].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Validate stroke files
+ * @param {Array} files - Stroke file paths
+ * @param {string} format - Output format
+ * @param {string} profile - Rule profile id
+ * @returns {number} Exit code
+ */
+function runValidate(files, format, profile) {
+  const entries = files.map(file => {
+    const strokes = readStrokes(file);
+    const result = BallotValidation.validateMark(strokes, { profile: profile });
+    const detail = describeVerdict(result) + (result.reason ? ` - ${result.reason}` : '');
+
+    return {
+      name: file,
+      suite: 'validate',
+      ok: result.valid === true,
+      detail: detail,
+      trace: result.trace,
+      data: {
+        file: file,
+        valid: result.valid,
+        label: result.label,
+        invalid_type: result.invalid_type,
+        reason: result.reason,
+        symbol: result.symbol,
+        needs_review: result.needs_review,
+        provisional: result.provisional,
+        stray_ink: result.stray_ink,
+        position: result.position,
+        confidence: result.confidence,
+        margin: result.margin,
+        profile: result.profile,
+        trace: result.trace
+      }
+    };
+  });
+
+  console.log(formatReport(entries, format, 'ballot-mark validate'));
+  return entries.every(e => e.ok) ? 0 : 1;
+}
+
+/**
+ * Read a v1.0 test suite file
+ * @param {string} file - Suite file path
+ * @param {string} baseProfile - Rule profile id the suite config is applied to
+ * @returns {Object} {tests, profile, layout}
+ */
+function readSuite(file, baseProfile) {
+  try {
+    const data = readJSON(file);
+    return {
+      tests: BallotTestSuite.parseSuite(data),
+      profile: BallotTestSuite.suiteProfile(data, baseProfile),
+      layout: BallotTestSuite.suiteLayout(data)
+    };
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Report entry for an invariance check
+ * @param {string} file - Suite file path
+ * @param {Object} check - Result of BallotTestSuite.checkInvariance()
+ * @returns {Object} Report entry {name, suite, ok, detail, trace, data}
+ */
+function invarianceEntry(file, check) {
+  const changes = check.changed.map(c => `${c.transform}: ${describeVerdict(c.verdict)}`);
+  return {
+    name: `${check.testId} ${check.testName}`,
+    suite: path.basename(file),
+    ok: check.invariant,
+    detail: `${describeVerdict(check.verdict)}` +
+            (check.invariant ? ` under ${check.variants.length} transforms` : `, but ${changes.join(', ')}`),
+    trace: null,
+    data: {
+      file: file,
+      testId: check.testId,
+      testName: check.testName,
+      invariant: check.invariant,
+      verdict: check.verdict,
+      variants: check.variants
+    }
+  };
+}
+
+/**
+ * Report entry for an incremental check
+ * @param {string} file - Suite file path
+ * @param {Object} check - Result of BallotTestSuite.checkIncremental()
+ * @returns {Object} Report entry {name, suite, ok, detail, trace, data}
+ */
+function incrementalEntry(file, check) {
+  let detail = 'skipped: a ballot is validated whole';
+  if (!check.skipped) {
+    detail = describeVerdict(check.verdict) + (check.consistent
+      ? ` stroke by stroke over ${check.testCase.strokes.length} strokes`
+      : `, but stroke by stroke ${describeVerdict(check.incremental)}` +
+        (check.incrementalReason !== check.reason ? ` - ${check.incrementalReason}` : ''));
+  }
+  return {
+    name: `${check.testId} ${check.testName}`,
+    suite: path.basename(file),
+    ok: check.consistent,
+    detail: detail,
+    trace: null,
+    data: {
+      file: file,
+      testId: check.testId,
+      testName: check.testName,
+      skipped: check.skipped,
+      consistent: check.consistent,
+      verdict: check.verdict,
+      incremental: check.incremental,
+      reason: check.reason,
+      incrementalReason: check.incrementalReason
+    }
+  };
+}
+
+/**
+ * Run v1.0 test suite files
+ * @param {Array} files - Suite file paths
+ * @param {string} format - Output format
+ * @param {string} baseProfile - Rule profile id the suite config is applied to
+ * @param {boolean} raster - Validate strokes traced back from a synthetic scan
+ * @param {boolean} metamorphic - Check that verdicts survive stroke order, direction, shifts and mirroring
+ * @param {boolean} incremental - Check that validating stroke by stroke ends on the same verdict
+ * @returns {number} Exit code
+ */
+function runTests(files, format, baseProfile, raster, metamorphic, incremental) {
+  const entries = [];
+  const results = [];
+
+  for (const file of files) {
+    const { tests, profile, layout } = readSuite(file, baseProfile);
+
+    for (const test of tests) {
+      const input = raster
+        ? {
+          ...test,
+          expected: test.rasterExpected || test.expected,
+          strokes: BallotRaster.rasterToStrokes(BallotRaster.renderStrokes(test.strokes))
+        }
+        : test;
+      if (metamorphic) {
+        entries.push(invarianceEntry(file, BallotTestSuite.checkInvariance(input, profile, layout)));
+        continue;
+      }
+      if (incremental) {
+        entries.push(incrementalEntry(file, BallotTestSuite.checkIncremental(input, profile, layout)));
+        continue;
+      }
+      const result = BallotTestSuite.runTest(input, profile, layout);
+      results.push(result);
+      entries.push({
+        name: `${result.testId} ${result.testName}`,
+        suite: path.basename(file),
+        ok: result.passed,
+        detail: `expected ${describeVerdict(result.expected)}, got ${describeVerdict(result.actual)}` +
+                (result.actual.reason ? ` - ${result.actual.reason}` : ''),
+        trace: result.trace,
+        data: {
+          file: file,
+          testId: result.testId,
+          testName: result.testName,
+          passed: result.passed,
+          expected: result.expected,
+          actual: result.actual,
+          profile: result.profile,
+          trace: result.trace
+        }
+      });
+    }
+  }
+
+  if (metamorphic) {
+    const invariant = entries.filter(e => e.ok).length;
+    if (format === 'json') {
+      console.log(JSON.stringify({
+        summary: { total: entries.length, invariant: invariant, changed: entries.length - invariant },
+        results: entries.map(e => e.data)
+      }, null, 2));
+    } else {
+      console.log(formatReport(entries, format, 'ballot-mark test --metamorphic'));
+      if (format === 'text') {
+        console.log(`\n${invariant}/${entries.length} verdicts unchanged under every transform`);
+      }
+    }
+    return invariant === entries.length ? 0 : 1;
+  }
+
+  if (incremental) {
+    const consistent = entries.filter(e => e.ok).length;
+    const skipped = entries.filter(e => e.data.skipped).length;
+    if (format === 'json') {
+      console.log(JSON.stringify({
+        summary: { total: entries.length, consistent: consistent, skipped: skipped, changed: entries.length - consistent },
+        results: entries.map(e => e.data)
+      }, null, 2));
+    } else {
+      console.log(formatReport(entries, format, 'ballot-mark test --incremental'));
+      if (format === 'text') {
+        console.log(`\n${consistent - skipped}/${entries.length - skipped} verdicts unchanged stroke by stroke` +
+                    (skipped > 0 ? ` (${skipped} ballots skipped)` : ''));
+      }
+    }
+    return consistent === entries.length ? 0 : 1;
+  }
+
+  const summary = BallotTestSuite.summarize(results);
+  if (format === 'json') {
+    console.log(JSON.stringify({ summary, results: entries.map(e => e.data) }, null, 2));
+  } else {
+    console.log(formatReport(entries, format, 'ballot-mark test'));
+    if (format === 'text') {
+      console.log(`\n${summary.passed}/${summary.total} passed (${summary.passRate}%)`);
+      const symbols = Object.entries(summary.symbols);
+      if (symbols.length > 0) {
+        console.log(`symbols drawn: ${symbols.map(([symbol, count]) => `${symbol} ${count}`).join(', ')}`);
+      }
+    } else if (format === 'tap') {
+      console.log(`# pass ${summary.passed}\n# fail ${summary.failed}`);
+    }
+  }
+
+  return summary.failed === 0 ? 0 : 1;
+}
+
+/**
+ * CLI entry point
+ * @param {Array} argv - Arguments after the node binary and script path
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  try {
+    const options = parseArgs(argv);
+
+    if (options.command === 'help') {
+      console.log(USAGE);
+      return 0;
+    }
+    if (options.command !== 'validate' && options.command !== 'test') {
+      throw new UsageError(options.command ? 'Unknown command: ' + options.command : 'Missing command');
+    }
+    if (options.files.length === 0) {
+      throw new UsageError('No input files given');
+    }
+    if (options.metamorphic && options.incremental) {
+      throw new UsageError('--metamorphic and --incremental cannot be combined');
+    }
+
+    return options.command === 'validate'
+      ? runValidate(options.files, options.format, options.profile)
+      : runTests(options.files, options.format, options.profile, options.raster, options.metamorphic,
+          options.incremental);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`ballot-mark: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,31 @@
+/**
+ * Headless Entry Point
+ * CommonJS export of the validation engine (no DOM required)
+ */
+
+module.exports = {
+  BallotConfig: require('./js/config'),
+  BallotGeometry: require('./js/geometry'),
+  BallotInk: require('./js/ink'),
+  BallotPreprocessing: require('./js/preprocessing'),
+  BallotRetrace: require('./js/retrace'),
+  BallotContinuity: require('./js/continuity'),
+  BallotScribble: require('./js/scribble'),
+  BallotIntersection: require('./js/intersection'),
+  BallotArmExtension: require('./js/arm-extension'),
+  BallotTopology: require('./js/topology'),
+  BallotInkGraph: require('./js/ink-graph'),
+  BallotExplainedInk: require('./js/explained-ink'),
+  BallotCheckMark: require('./js/check-mark'),
+  BallotSymbol: require('./js/symbol'),
+  BallotSpatialIndex: require('./js/spatial-index'),
+  BallotLayout: require('./js/layout'),
+  BallotImage: require('./js/image'),
+  BallotRaster: require('./js/raster'),
+  BallotProfiles: require('./js/profiles'),
+  BallotTrace: require('./js/trace'),
+  BallotConfidence: require('./js/confidence'),
+  BallotValidation: require('./js/validation'),
+  BallotIncremental: require('./js/incremental'),
+  BallotTestSuite: require('./js/test-suite')
+};
@@ -0,0 +1,35 @@
+/**
+ * Headless Entry Point
+ * ES module re-export of the CommonJS engine, so both share one BallotConfig
+ */
+
+import engine from './index.js';
+
+export const {
+  BallotConfig,
+  BallotGeometry,
+  BallotInk,
+  BallotPreprocessing,
+  BallotRetrace,
+  BallotContinuity,
+  BallotScribble,
+  BallotIntersection,
+  BallotArmExtension,
+  BallotTopology,
+  BallotInkGraph,
+  BallotExplainedInk,
+  BallotCheckMark,
+  BallotSymbol,
+  BallotSpatialIndex,
+  BallotLayout,
+  BallotImage,
+  BallotRaster,
+  BallotProfiles,
+  BallotTrace,
+  BallotConfidence,
+  BallotValidation,
+  BallotIncremental,
+  BallotTestSuite
+} = engine;
+
+export default engine;
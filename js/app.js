@@ -68,20 +68,24 @@
         // Redraw canvas with loaded strokes
         BallotUI.redrawAllStrokes(test.strokes, null);
 
-        // Trigger validation
-        const result = BallotValidation.validateMark(test.strokes, { debug: true });
-        window.ballotState.debugData = result.debug || null;
-        BallotUI.updateResult(result);
-
         // Show indicator that this is test data
         showTestDataBanner(test);
 
         console.log('Loaded test data:', test.testName);
         console.log('Expected:', test.expected);
-        console.log('Actual:', {
-          valid: result.valid,
-          invalid_type: result.invalid_type,
-          reason: result.reason
+
+        // Trigger validation
+        BallotValidator.validate(test.strokes, { debug: true }).then(result => {
+          window.ballotState.debugData = result.debug || null;
+          BallotUI.updateResult(result);
+
+          console.log('Actual:', {
+            valid: result.valid,
+            invalid_type: result.invalid_type,
+            reason: result.reason
+          });
+        }).catch(e => {
+          if (!e.cancelled) console.error('Failed to validate test data:', e);
         });
 
       } catch (e) {
@@ -3,70 +3,156 @@
  * Measure how far ink extends in 4 directions from intersection point
  */
 
-window.BallotArmExtension = {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./spatial-index'));
+  } else {
+    root.BallotArmExtension = factory(root.BallotConfig, root.BallotGeometry, root.BallotSpatialIndex);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotSpatialIndex) {
   /**
-   * Measure 4-arm extension from intersection point
-   * @param {Object} P - Intersection point {x, y}
-   * @param {Object} seg1 - First intersecting segment
-   * @param {Object} seg2 - Second intersecting segment
-   * @param {Array} allStrokes - All strokes (array of point arrays)
-   * @returns {Object} {valid, extensions, minExtension, armAngles}
+   * Angle between two headings in degrees, in [0, 180]
    */
-  measure4ArmExtension: function(P, seg1, seg2, allStrokes) {
-    // Determine the two primary directions
-    const dir1 = Math.atan2(seg1.p2.y - seg1.p1.y, seg1.p2.x - seg1.p1.x);
-    const dir2 = Math.atan2(seg2.p2.y - seg2.p1.y, seg2.p2.x - seg2.p1.x);
-
-    // Normalize to [0, 180)
-    const angle1 = ((dir1 * 180 / Math.PI) % 180 + 180) % 180;
-    const angle2 = ((dir2 * 180 / Math.PI) % 180 + 180) % 180;
-
-    // Define 4 arm directions
-    const armAngles = [
-      angle1,
-      (angle1 + 180) % 360,
-      angle2,
-      (angle2 + 180) % 360
-    ];
-
-    // Measure extension along each arm
-    const extensions = {};
-    const armLabels = ['seg1+', 'seg1-', 'seg2+', 'seg2-'];
-
-    armAngles.forEach((angle, idx) => {
-      const extension = this.findInkInCorridor(P, angle, allStrokes);
-      extensions[armLabels[idx]] = extension;
-    });
-
-    // Check if all 4 arms meet minimum
-    const minExtension = Math.min(...Object.values(extensions));
-    const valid = minExtension >= BallotConfig.MIN_ARM_EXTENSION_PX;
-
-    return {
-      valid: valid,
-      extensions: extensions,
-      minExtension: minExtension,
-      armAngles: armAngles
-    };
-  },
+  function headingDiff(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+  }
 
-  /**
-   * Find maximum ink extension along a direction corridor
-   * @param {Object} P - Starting point {x, y}
-   * @param {number} direction - Direction angle in degrees
-   * @param {Array} allStrokes - All strokes (array of point arrays)
-   * @returns {number} Maximum distance in pixels
-   */
-  findInkInCorridor: function(P, direction, allStrokes) {
-    const dirRad = direction * Math.PI / 180;
-    const dirVec = { x: Math.cos(dirRad), y: Math.sin(dirRad) };
+  return {
+    /**
+     * Measure 4-arm extension from intersection point
+     * @param {Object} P - Intersection point {x, y}
+     * @param {Object} seg1 - First intersecting segment
+     * @param {Object} seg2 - Second intersecting segment
+     * @param {Array} allStrokes - All strokes (array of point arrays)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Object} index - Spatial index over the strokes' segments (default: scan every segment)
+     * @returns {Object} {valid, extensions, minExtension, armAngles, straightness, pathSegments}
+     *                   (straightness and pathSegments are null unless ARM_MEASURE_MODE is 'path')
+     */
+    measure4ArmExtension: function(P, seg1, seg2, allStrokes, config = BallotConfig, index = null) {
+      // Determine the two primary directions
+      const dir1 = Math.atan2(seg1.p2.y - seg1.p1.y, seg1.p2.x - seg1.p1.x);
+      const dir2 = Math.atan2(seg2.p2.y - seg2.p1.y, seg2.p2.x - seg2.p1.x);
+
+      // Normalize to [0, 180)
+      const angle1 = ((dir1 * 180 / Math.PI) % 180 + 180) % 180;
+      const angle2 = ((dir2 * 180 / Math.PI) % 180 + 180) % 180;
+
+      // Define 4 arm directions
+      const armAngles = [
+        angle1,
+        (angle1 + 180) % 360,
+        angle2,
+        (angle2 + 180) % 360
+      ];
+
+      // Measure extension along each arm
+      const extensions = {};
+      const armLabels = ['seg1+', 'seg1-', 'seg2+', 'seg2-'];
+      let straightness = null;
+      let pathSegments = null;
+
+      armAngles.forEach((angle, idx) => {
+        const extension = this.findInkInCorridor(P, angle, allStrokes, config, index);
+        extensions[armLabels[idx]] = extension;
+      });
+
+      if (config.ARM_MEASURE_MODE === 'path') {
+        // Follow each crossing stroke away from P in both directions. A curl at the crossing
+        // stops the walk early, so an arm keeps its corridor extension when that is longer
+        straightness = {};
+        pathSegments = [];
+        [[seg1, 1], [seg1, -1], [seg2, 1], [seg2, -1]].forEach(([seg, step], idx) => {
+          const arm = this.followArm(P, seg, step, allStrokes, config);
+          extensions[armLabels[idx]] = Math.max(extensions[armLabels[idx]], arm.length);
+          straightness[armLabels[idx]] = arm.straightness;
+          for (const segmentIndex of arm.segments) pathSegments.push(seg.strokeIndex + ':' + segmentIndex);
+        });
+      }
+
+      // Check if all 4 arms meet minimum
+      const minExtension = Math.min(...Object.values(extensions));
+      const valid = minExtension >= config.MIN_ARM_EXTENSION_PX;
+
+      return {
+        valid: valid,
+        extensions: extensions,
+        minExtension: minExtension,
+        armAngles: armAngles,
+        straightness: straightness,
+        pathSegments: pathSegments
+      };
+    },
+
+    /**
+     * Follow one arm along its stroke from the crossing point
+     * The arm ends at the stroke's end, or where the ink turns more than ARM_PATH_MAX_TURN_DEG
+     * away from the arm's heading at the crossing (a hook, or the way into the other arm)
+     * @param {Object} P - Crossing point {x, y} on seg (a gapped crossing may lie past its end)
+     * @param {Object} seg - Crossing segment {p1, p2, strokeIndex, segmentIndex}
+     * @param {number} step - 1 to follow the stroke forward (through p2), -1 backward (through p1)
+     * @param {Array} allStrokes - All strokes, indexed by seg.strokeIndex
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {length (arc length), straightness (chord / arc, 1 for no ink), segments (indices walked)}
+     */
+    followArm: function(P, seg, step, allStrokes, config = BallotConfig) {
+      const stroke = allStrokes[seg.strokeIndex];
+      const ahead = step > 0 ? seg.p2 : seg.p1;
+      const behind = step > 0 ? seg.p1 : seg.p2;
+      const heading = Math.atan2(ahead.y - behind.y, ahead.x - behind.x) * 180 / Math.PI;
+
+      let length = 0;
+      let last = P;
+      const segments = [];
+      for (let i = step > 0 ? seg.segmentIndex + 1 : seg.segmentIndex; i >= 0 && i < stroke.length; i += step) {
+        const next = stroke[i];
+        const d = BallotGeometry.dist(last, next);
+        if (d === 0) continue;
+
+        const turn = headingDiff(Math.atan2(next.y - last.y, next.x - last.x) * 180 / Math.PI, heading);
+        if (turn > config.ARM_PATH_MAX_TURN_DEG) break;
+
+        length += d;
+        last = next;
+        segments.push(step > 0 ? i - 1 : i);
+      }
 
-    let maxDist = 0;
+      return {
+        length: length,
+        straightness: length > 0 ? BallotGeometry.dist(P, last) / length : 1,
+        segments: segments
+      };
+    },
+
+    /**
+     * Find maximum ink extension along a direction corridor
+     * @param {Object} P - Starting point {x, y}
+     * @param {number} direction - Direction angle in degrees
+     * @param {Array} allStrokes - All strokes (array of point arrays)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Object} index - Spatial index over the strokes' segments (default: scan every segment)
+     * @returns {number} Maximum distance in pixels
+     */
+    findInkInCorridor: function(P, direction, allStrokes, config = BallotConfig, index = null) {
+      const dirRad = direction * Math.PI / 180;
+      const dirVec = { x: Math.cos(dirRad), y: Math.sin(dirRad) };
+
+      // A counted segment has its midpoint in the corridor band, at most half a segment behind P
+      const candidates = [];
+      if (index) {
+        const band = BallotSpatialIndex.queryBand(index, P, direction, config.ARM_CORRIDOR_DIST_PX,
+                                                  -index.maxSegmentLength / 2);
+        for (const i of band) candidates.push(index.segments[i]);
+      } else {
+        for (const stroke of allStrokes) {
+          for (let i = 0; i < stroke.length - 1; i++) candidates.push({ p1: stroke[i], p2: stroke[i + 1] });
+        }
+      }
 
-    for (const stroke of allStrokes) {
-      for (let i = 0; i < stroke.length - 1; i++) {
-        const seg = { p1: stroke[i], p2: stroke[i + 1] };
+      let maxDist = 0;
 
+      for (const seg of candidates) {
         // Check alignment - segment should be aligned with the line (either direction)
         const segAngle = Math.atan2(seg.p2.y - seg.p1.y, seg.p2.x - seg.p1.x);
         const segDir = ((segAngle * 180 / Math.PI) % 360 + 360) % 360;
@@ -82,12 +168,12 @@ window.BallotArmExtension = {
         );
         const angleDiff = Math.min(angleDiff1, angleDiff2);
 
-        if (angleDiff > BallotConfig.ARM_CORRIDOR_ANGLE_TOL_DEG) continue;
+        if (angleDiff > config.ARM_CORRIDOR_ANGLE_TOL_DEG) continue;
 
         // Check perpendicular distance from segment to the ray
         const mid = BallotGeometry.segmentMidpoint(seg);
         const perpDist = BallotGeometry.pointToLineDistance(mid, P, direction);
-        if (perpDist > BallotConfig.ARM_CORRIDOR_DIST_PX) continue;
+        if (perpDist > config.ARM_CORRIDOR_DIST_PX) continue;
 
         // Check both endpoints to see if either is ahead of P in the desired direction
         // This handles segments that pass through P correctly
@@ -104,8 +190,8 @@ window.BallotArmExtension = {
           maxDist = Math.max(maxDist, dist1, dist2);
         }
       }
-    }
 
-    return maxDist;
-  }
-};
+      return maxDist;
+    }
+  };
+});
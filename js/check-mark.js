@@ -0,0 +1,133 @@
+/**
+ * Check-Mark Detection
+ * Recognize a tick (✓): two straight limbs meeting at one low vertex, no crossing
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./preprocessing'));
+  } else {
+    root.BallotCheckMark = factory(root.BallotConfig, root.BallotGeometry, root.BallotPreprocessing);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotPreprocessing) {
+  return {
+    /**
+     * Join the ink into one polyline: a single stroke, or two strokes meeting end to end
+     * @param {Array} strokes - Processed strokes
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Array|null} Polyline, or null if the ink is not one continuous path
+     */
+    joinLimbs: function(strokes, config = BallotConfig) {
+      if (strokes.length === 1) return strokes[0];
+      if (strokes.length !== 2) return null;
+
+      // Orient both strokes so the first ends where the second starts
+      let best = null;
+      for (const a of [strokes[0], strokes[0].slice().reverse()]) {
+        for (const b of [strokes[1], strokes[1].slice().reverse()]) {
+          const gap = BallotGeometry.dist(a[a.length - 1], b[0]);
+          if (!best || gap < best.gap) best = { gap, a, b };
+        }
+      }
+
+      return best.gap <= config.CHECK_MARK_JOIN_GAP_PX ? best.a.concat(best.b) : null;
+    },
+
+    /**
+     * Detect a check mark
+     * @param {Array} strokes - Processed strokes (resampled and simplified)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {detected, vertex, ends: the limbs' free ends, shortLimb, longLimb, limbRatio, angle, reason}
+     */
+    detect: function(strokes, config = BallotConfig) {
+      const miss = (reason) => ({
+        detected: false, vertex: null, ends: null, shortLimb: 0, longLimb: 0, limbRatio: 0, angle: 0, reason
+      });
+
+      const path = this.joinLimbs(strokes, config);
+      if (!path || path.length < 3) return miss('not two limbs');
+
+      // Vertex: the point farthest from the chord between the free ends
+      const start = path[0];
+      const end = path[path.length - 1];
+      let k = 1;
+      let farthest = -1;
+      for (let i = 1; i < path.length - 1; i++) {
+        const d = BallotPreprocessing.pointToSegmentDist(path[i], start, end);
+        if (d > farthest) {
+          farthest = d;
+          k = i;
+        }
+      }
+      const vertex = path[k];
+
+      // Each limb must run straight from its free end to the vertex
+      const limbs = [path.slice(0, k + 1), path.slice(k)];
+      for (const limb of limbs) {
+        const a = limb[0];
+        const b = limb[limb.length - 1];
+        const length = BallotGeometry.dist(a, b);
+        const bend = Math.max(0, ...limb.map(p => BallotPreprocessing.pointToSegmentDist(p, a, b)));
+        if (length === 0 || bend > length * config.CHECK_MARK_MAX_BEND_RATIO) return miss('curved limb');
+      }
+
+      const lengths = [BallotGeometry.dist(start, vertex), BallotGeometry.dist(vertex, end)];
+      const shortLimb = Math.min(...lengths);
+      const longLimb = Math.max(...lengths);
+
+      const v1 = { x: start.x - vertex.x, y: start.y - vertex.y };
+      const v2 = { x: end.x - vertex.x, y: end.y - vertex.y };
+      const cos = (v1.x * v2.x + v1.y * v2.y) / (lengths[0] * lengths[1]);
+      const angle = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+
+      const result = {
+        detected: false,
+        vertex: { x: vertex.x, y: vertex.y },
+        ends: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+        shortLimb,
+        longLimb,
+        limbRatio: longLimb / shortLimb,
+        angle,
+        reason: ''
+      };
+
+      if (shortLimb < config.CHECK_MARK_MIN_LIMB_PX) {
+        result.reason = 'short limb too short';
+      } else if (angle < config.CHECK_MARK_MIN_ANGLE_DEG || angle > config.CHECK_MARK_MAX_ANGLE_DEG) {
+        result.reason = 'limb angle out of range';
+      } else if (vertex.y <= start.y || vertex.y <= end.y) {
+        // Screen y grows downward: a tick's vertex sits below both free ends
+        result.reason = 'vertex not at the bottom';
+      } else if (result.limbRatio < config.CHECK_MARK_MIN_LIMB_RATIO) {
+        result.reason = 'limbs too symmetric';
+      } else {
+        result.detected = true;
+      }
+
+      return result;
+    },
+
+    /**
+     * Describe a detected tick the way the cross stages describe a cross candidate, so the
+     * position and explained ink checks can run on it
+     * The vertex stands in for the cross center and each limb for an arm; the arms opposite
+     * the limbs have no ink
+     * @param {Object} checkMark - Detected check mark from detect()
+     * @returns {Object} Candidate {point, extensions, minExtension, armAngles}
+     */
+    candidate: function(checkMark) {
+      const vertex = checkMark.vertex;
+      const limbs = checkMark.ends.map(end => ({
+        length: BallotGeometry.dist(vertex, end),
+        angle: ((Math.atan2(end.y - vertex.y, end.x - vertex.x) * 180 / Math.PI) + 360) % 360
+      }));
+
+      return {
+        point: { x: vertex.x, y: vertex.y },
+        extensions: [limbs[0].length, 0, limbs[1].length, 0],
+        minExtension: Math.min(limbs[0].length, limbs[1].length),
+        armAngles: [limbs[0].angle, (limbs[0].angle + 180) % 360, limbs[1].angle, (limbs[1].angle + 180) % 360]
+      };
+    }
+  };
+});
@@ -0,0 +1,83 @@
+/**
+ * Confidence Scoring
+ * Margin of the deciding measurements from their thresholds, and review routing
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'));
+  } else {
+    root.BallotConfidence = factory(root.BallotConfig);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig) {
+  return {
+    // Stages that screen out other marks (no ink, specks, a scribble or fill-in): they can reject
+    // a mark, but passing them says nothing about how clearly a cross was drawn
+    SCREENING_STAGES: ['blank', 'stray_ink', 'scribble'],
+
+    /**
+     * Get the review band for a trace entry's unit
+     * Counts (points, intersections, branches) are discrete and have no band
+     * @param {Object} entry - Trace stage entry
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {number|null} Band width in the entry's unit, or null (no band or band disabled)
+     */
+    reviewBand: function(entry, config = BallotConfig) {
+      let band = null;
+      if (entry.unit === 'px') band = config.REVIEW_MARGIN_PX;
+      if (entry.unit === 'ratio') band = config.REVIEW_MARGIN_RATIO;
+      return band > 0 ? band : null;
+    },
+
+    /**
+     * Signed distance of a measurement from its threshold
+     * @param {Object} entry - Trace stage entry
+     * @returns {number} Distance in the entry's unit (positive on the passing side)
+     */
+    signedDistance: function(entry) {
+      return entry.comparison === '>='
+        ? entry.measured - entry.threshold
+        : entry.threshold - entry.measured;
+    },
+
+    /**
+     * Assess how decisively the trace reached its verdict
+     * A rejection is decided by the failed stage; an acceptance by the passed stage
+     * closest to its threshold, leaving out the screening stages
+     * @param {Array} trace - Trace from BallotTrace
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {confidence [0, 1], margin: {stage, distance, unit, band} or null, borderline}
+     */
+    assess: function(trace, config = BallotConfig) {
+      const failed = trace.find(e => e.passed === false);
+      const deciding = failed
+        ? [failed]
+        : trace.filter(e => e.passed === true && !this.SCREENING_STAGES.includes(e.stage));
+
+      let margin = null;
+      for (const entry of deciding) {
+        const band = this.reviewBand(entry, config);
+        if (band === null || entry.threshold === null) continue;
+
+        const distance = Math.abs(this.signedDistance(entry));
+        if (!margin || distance / band < margin.distance / margin.band) {
+          margin = { stage: entry.stage, distance, unit: entry.unit, band };
+        }
+      }
+
+      if (!margin) {
+        // Decided by a count, or nothing measured (waiting)
+        return { confidence: 1, margin: null, borderline: false };
+      }
+
+      // 0 at the threshold, 0.5 one band away, approaching 1 beyond
+      const confidence = margin.distance / (margin.distance + margin.band);
+
+      return {
+        confidence: confidence,
+        margin: margin,
+        borderline: margin.distance < margin.band
+      };
+    }
+  };
+});
@@ -3,55 +3,137 @@
  * Central configuration for all thresholds and parameters
  */
 
-window.BallotConfig = {
-  // Canvas dimensions (logical pixels)
-  LOGICAL_WIDTH: 500,
-  LOGICAL_HEIGHT: 400,
-
-  // Vote box geometry (logical pixels)
-  VOTE_BOX: {
-    x: 90,
-    y: 85,
-    width: 320,
-    height: 220
-  },
-
-  // Drawing & preprocessing
-  STROKE_WIDTH_PX: 8,
-  BOX_TOLERANCE_PX: 8,  // Increased to accommodate natural corner overshoots
-  RESAMPLE_STEP_PX: 3,
-  SIMPLIFY_EPSILON_PX: 3,
-  MIN_TOTAL_INK_LENGTH_PX: 30,  // Lowered for blank detection (dot filter)
-  MAX_POINTS_TOTAL: 1200,
-
-  // Intersection detection
-  ENDPOINT_EPS_PX: 6,
-  MIN_CROSSING_ANGLE_DEG: 15,
-
-  // 4-arm extension analysis
-  MIN_ARM_EXTENSION_PX: 18,
-  ARM_CORRIDOR_ANGLE_TOL_DEG: 25,
-  ARM_CORRIDOR_DIST_PX: 12,
-
-  // Global topology (star rejection)
-  TOPOLOGY_ANALYSIS_RADIUS_PX: 60,
-  MAX_BRANCHES: 2,  // Proper X/+ cross has exactly 2 angular directions
-  BRANCH_ANGLE_CLUSTER_TOL_DEG: 30,
-
-  // Multi-mark detection (scale-adaptive)
-  CROSS_CLUSTER_EPS_PX: 26,  // Initial clustering radius for intersection points
-  RETRACE_TOLERANCE_RATIO: 0.12,  // Max 12% of arm length = retracing (tremor/dry pen)
-  INTENTIONAL_MIN_RATIO: 0.20,  // Min 20% of arm length = intentional invalidation
-  MULTI_MARK_MIN_RATIO: 1.0,  // Min 100% of arm length = distinct marks
-
-  // Extra writing detection (stroke-count adaptive)
-  MIN_EXPLAINED_INK_RATIO: 0.65,  // Relaxed for multi-stroke with emphasis (3+)
-  MIN_EXPLAINED_INK_RATIO_SINGLE: 0.50,  // Lenient for 1-stroke with loops (50%)
-  MIN_EXPLAINED_INK_RATIO_DOUBLE: 0.62,  // Moderate for 2-stroke
-
-  // Arm balance (for branchCount = 3 validation)
-  MIN_ARM_BALANCE_RATIO: 0.70,
-
-  // UI timing
-  EVALUATION_DEBOUNCE_MS: 450
-};
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BallotConfig = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  return {
+    // Canvas dimensions (logical pixels)
+    LOGICAL_WIDTH: 500,
+    LOGICAL_HEIGHT: 400,
+
+    // Vote box geometry (logical pixels)
+    VOTE_BOX: {
+      x: 90,
+      y: 85,
+      width: 320,
+      height: 220
+    },
+
+    // Lengths: every *_PX setting is in logical pixels here; a profile may instead give it
+    // relative to the vote box ('5%' of its shorter side) or physically ('4mm', via DEVICE_DPI)
+    DEVICE_DPI: 96,  // Logical pixels per inch (CSS pixels; a scan's DPI for scanned ballots)
+
+    // Drawing & preprocessing
+    STROKE_WIDTH_PX: 8,  // Nominal pen width, for the ink model as well as the canvas
+    INK_MIN_WIDTH_RATIO: 0.5,  // Ink width at the lightest pen pressure, relative to STROKE_WIDTH_PX
+    INK_MAX_WIDTH_RATIO: 1.5,  // Ink width at full pressure (pressure 0.5 draws the nominal width)
+    BOX_TOLERANCE_PX: 8,  // Ink past the border beyond the nominal half-width; accommodates natural corner overshoots
+    // Ink crossing the border, by category: 'valid', 'invalid', 'review', or 'tolerance' (invalid beyond BOX_TOLERANCE_PX)
+    OUTSIDE_GRAZE_POLICY: 'valid',  // Only the ink edge crosses the border
+    OUTSIDE_TIP_POLICY: 'tolerance',  // Stroke ends run past the border
+    OUTSIDE_SUBSTANTIAL_POLICY: 'tolerance',  // More ink outside, or a stroke leaves and comes back
+    OUTSIDE_TIP_MAX_RATIO: 0.05,  // Max share of the centerline outside the box for an arm-tip overshoot
+    SMOOTHING_FILTER: 'none',  // Before resampling, for jittery styluses: 'none', 'one-euro' or 'moving-average'
+    SMOOTHING_MIN_CUTOFF_HZ: 3,  // One-Euro: cutoff with the pen at rest (lower smooths more)
+    SMOOTHING_BETA: 0.01,  // One-Euro: cutoff increase per px/s of pen speed (less smoothing on fast strokes)
+    SMOOTHING_DERIVATIVE_CUTOFF_HZ: 1,  // One-Euro: cutoff for the pen speed estimate
+    SMOOTHING_WINDOW_MS: 50,  // Moving average: centered time window
+    RESAMPLE_STEP_PX: 3,
+    SIMPLIFY_EPSILON_PX: 3,
+    RETRACE_MERGE_DIST_PX: 5,  // Ink this close to earlier ink, along it, is a retrace merged into that ink
+    RETRACE_MERGE_ANGLE_DEG: 15,  // Max angle between a retrace and the ink it goes over (either direction)
+    RETRACE_MIN_RUN_PX: 12,  // Shorter overlaps (shallow crossings, touching ends) are not merged
+    STROKE_JOIN_MAX_GAP_PX: 12,  // A stroke starting this close to where the previous one ended may continue it (pen skip)
+    STROKE_JOIN_MAX_PAUSE_MS: 150,  // ...if it starts within this long of the lift
+    STROKE_JOIN_MAX_TURN_DEG: 30,  // ...and carries on in the same direction
+    STROKE_JOIN_HEADING_PX: 12,  // Stroke direction at a lift: over this much ink
+    MIN_TOTAL_INK_LENGTH_PX: 30,  // Lowered for blank detection (dot filter)
+    STRAY_MAX_LENGTH_PX: 10,  // A separate line this short (pen tap, speck) is stray ink, not part of the mark
+    STRAY_INK_POLICY: 'ignore',  // Stray ink: 'ignore' (left out of the cross checks, not the symbol or box border), 'count' (judged with it), 'review' or 'invalid'
+
+    // Scribble & fill-in detection (every pass of the pen, before retraced ink is merged)
+    SCRIBBLE_FILL_MIN_COVERAGE: 0.4,  // Share of the vote box inked for a filled-in box
+    SCRIBBLE_MIN_TURNS: 4,  // Cumulative turning, in full turns, for a scribble
+    SCRIBBLE_MIN_DENSITY: 0.5,  // ...over ink that covers this share of its bounding box
+    SCRIBBLE_MIN_OVERLAP: 0.5,  // ...or lays this share of itself over ink already there
+
+    // Intersection detection
+    ENDPOINT_EPS_PX: 6,
+    MIN_CROSSING_ANGLE_DEG: 15,
+    CROSS_GAP_MAX_PX: 12,  // Near-miss crosses: how far stroke ends are extended to meet another stroke (0 = off)
+    // Gapped cross (no true crossing): 'valid', 'invalid' or 'review'. A T (one stroke stopping short
+    // of another) is found as a gapped crossing too, but has three arms and stays rejected as wrong_symbol
+    CROSS_GAP_POLICY: 'invalid',
+
+    // 4-arm extension analysis
+    MIN_ARM_EXTENSION_PX: 18,
+    ARM_CORRIDOR_ANGLE_TOL_DEG: 25,
+    ARM_CORRIDOR_DIST_PX: 12,
+    ARM_MEASURE_MODE: 'corridor',  // 'corridor' (ink in a straight band) or 'path' (arc length along the crossing strokes, for curved arms)
+    ARM_PATH_MAX_TURN_DEG: 60,  // Path mode: an arm ends where its ink turns this far from the heading at the crossing
+
+    // Cross center position (where the best cross candidate sits in the vote box)
+    CENTER_MIN_EDGE_DIST_PX: 0,  // The center must be this far inside every box edge, e.g. '15%' (0 = anywhere in the box)
+    CENTER_POSITION_POLICY: 'invalid',  // Center nearer an edge: 'valid' (reported only), 'invalid' or 'review'
+
+    // Check mark (✓) recognition
+    CHECK_MARK_POLICY: 'invalid',  // 'valid', 'invalid' (own reason code) or 'review'
+    CHECK_MARK_MIN_LIMB_PX: 10,  // Shorter limb must still be a deliberate stroke
+    CHECK_MARK_MIN_LIMB_RATIO: 1.3,  // Long limb / short limb (a symmetric V is not a tick)
+    CHECK_MARK_MIN_ANGLE_DEG: 30,
+    CHECK_MARK_MAX_ANGLE_DEG: 120,
+    CHECK_MARK_MAX_BEND_RATIO: 0.15,  // Max limb deviation from straight, relative to limb length
+    CHECK_MARK_JOIN_GAP_PX: 12,  // Two-stroke ticks: max gap between the limbs at the vertex
+
+    // Symbol recognition (names what was drawn instead of a cross)
+    SYMBOL_LINE_MIN_STRAIGHTNESS: 0.9,  // Chord / path length for a line or dash
+    SYMBOL_CLOSED_GAP_RATIO: 0.2,  // Max gap between a loop's ends, relative to its length
+    SYMBOL_CIRCLE_MAX_RADIAL_DEVIATION: 0.25,  // Max spread of radii around the loop center, relative to mean radius
+    SYMBOL_SCRIBBLE_MIN_DENSITY: 3.5,  // Ink length / (bbox width + height) for a filled scribble
+    SYMBOL_SCRIBBLE_MIN_TURNS: 4,  // Cumulative turning, in full turns, for a filled scribble
+    SYMBOL_STAR_MIN_BRANCHES: 3,  // Angular directions at a 3+ stroke center for a star/asterisk
+    SYMBOL_DIGIT_MIN_ASPECT: 1.2,  // Height / width for a digit-like shape
+
+    // Global topology (angular branch count, traced alongside the ink graph)
+    TOPOLOGY_ANALYSIS_RADIUS_PX: 60,
+    BRANCH_ANGLE_CLUSTER_TOL_DEG: 30,  // Also separates arm headings at a junction
+
+    // Ink skeleton graph (cross, star or loop at the cross center)
+    GRAPH_NODE_MERGE_PX: 10,  // Junctions and stroke ends closer than this are one node
+    GRAPH_SNAP_PX: 6,  // A stroke end this close to other ink joins it (T junction)
+    GRAPH_SPUR_PX: 8,  // Dead ends shorter than this are pen flicks, not arms
+    GRAPH_ARM_PROBE_PX: 20,  // Arm heading: from the junction to this far along the ink
+
+    // Multi-mark detection (scale-adaptive)
+    CROSS_CLUSTER_EPS_PX: 26,  // Initial clustering radius for intersection points
+    RETRACE_TOLERANCE_RATIO: 0.12,  // Max 12% of arm length = retracing (tremor/dry pen)
+    INTENTIONAL_MIN_RATIO: 0.20,  // Min 20% of arm length = intentional invalidation
+    MULTI_MARK_MIN_RATIO: 1.0,  // Min 100% of arm length = distinct marks
+
+    // Extra writing detection (stroke-count adaptive)
+    MIN_EXPLAINED_INK_RATIO: 0.65,  // Relaxed for multi-stroke with emphasis (3+)
+    MIN_EXPLAINED_INK_RATIO_SINGLE: 0.50,  // Lenient for 1-stroke with loops (50%)
+    MIN_EXPLAINED_INK_RATIO_DOUBLE: 0.62,  // Moderate for 2-stroke
+
+    // Arm balance: shortest arm / longest arm of the cross
+    MIN_ARM_BALANCE_RATIO: 0.70,
+    ARM_BALANCE_SCOPE: 'extra-strokes',  // 'extra-strokes' (3+ strokes with 3 angular branches: a star, or a cross with an extra mark) or 'all' (every cross)
+
+    // Confidence & human review (margin band around each threshold)
+    REVIEW_MARGIN_PX: 2,  // Pixel measurements within 2px of their threshold are borderline
+    REVIEW_MARGIN_RATIO: 0.03,  // Ratio measurements within 3 points of their threshold are borderline
+    ENABLE_NEEDS_REVIEW: false,  // Route borderline marks to "ต้องพิจารณา" instead of deciding
+
+    // Spatial index (segment grid shared by intersection, corridor, topology, explained-ink)
+    SPATIAL_INDEX_CELL_PX: 16,
+
+    // UI timing
+    EVALUATION_DEBOUNCE_MS: 450,
+    USE_VALIDATION_WORKER: true,  // Validate in a Web Worker when the page allows it
+    INCREMENTAL_VALIDATION: false  // Kiosk mode: validate each stroke on pointer-up, no debounce
+  };
+});
@@ -0,0 +1,109 @@
+/**
+ * Stroke Continuity
+ * Strokes split by a brief pen lift or a dropped batch of pointer events are joined
+ * back into the line the voter drew, before preprocessing and stroke-count rules
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'));
+  } else {
+    root.BallotContinuity = factory(root.BallotConfig, root.BallotGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry) {
+  /**
+   * Heading (degrees) of the last `reach` px of ink leading to a stroke's start or end
+   * @returns {number|null} Heading in drawing direction, or null for a stroke with no length
+   */
+  function headingAt(stroke, atEnd, reach) {
+    const points = atEnd ? stroke : stroke.slice().reverse();
+    const tip = points[points.length - 1];
+    let from = null;
+    for (let i = points.length - 2; i >= 0; i--) {
+      from = points[i];
+      if (BallotGeometry.dist(from, tip) >= reach) break;
+    }
+    if (!from || BallotGeometry.dist(from, tip) === 0) return null;
+
+    const heading = Math.atan2(tip.y - from.y, tip.x - from.x) * 180 / Math.PI;
+    return atEnd ? heading : (heading + 360) % 360 - 180;
+  }
+
+  /**
+   * Angle between two headings (degrees, 0..180)
+   */
+  function turnBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return Math.min(diff, 360 - diff);
+  }
+
+  return {
+    /**
+     * Decide whether a stroke continues the one drawn before it
+     * Its start must be near the previous end in space and in time, and the line must
+     * carry on in the same direction (also across the gap, when there is one to measure)
+     * @param {Array} previous - Raw stroke drawn before (points {x, y, t})
+     * @param {Array} next - Raw stroke drawn next
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {joined, gap: px, pause: ms (null without timestamps), turn: degrees (null without a heading)}
+     */
+    continues: function(previous, next, config = BallotConfig) {
+      if (previous.length === 0 || next.length === 0) {
+        return { joined: false, gap: null, pause: null, turn: null };
+      }
+
+      const end = previous[previous.length - 1];
+      const start = next[0];
+      const gap = BallotGeometry.dist(end, start);
+      const pause = typeof end.t === 'number' && typeof start.t === 'number' ? start.t - end.t : null;
+
+      const exit = headingAt(previous, true, config.STROKE_JOIN_HEADING_PX);
+      const entry = headingAt(next, false, config.STROKE_JOIN_HEADING_PX);
+      let turn = exit !== null && entry !== null ? turnBetween(exit, entry) : null;
+      if (turn !== null && gap > config.RESAMPLE_STEP_PX) {
+        const across = Math.atan2(start.y - end.y, start.x - end.x) * 180 / Math.PI;
+        turn = Math.max(turn, turnBetween(exit, across), turnBetween(across, entry));
+      }
+
+      const joined = gap <= config.STROKE_JOIN_MAX_GAP_PX &&
+                     pause !== null && pause >= 0 && pause <= config.STROKE_JOIN_MAX_PAUSE_MS &&
+                     turn !== null && turn <= config.STROKE_JOIN_MAX_TURN_DEG;
+      return { joined, gap, pause, turn };
+    },
+
+    /**
+     * Reconstruct the strokes the voter meant from the strokes recorded
+     * Only consecutive strokes are joined, in drawing order
+     * @param {Array} strokes - Raw strokes (points {x, y, t})
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {count: reconstructed strokes, groups: stroke indices per reconstructed stroke,
+     *                   joins: [{from, to, gap, pause, turn}]}
+     */
+    reconstruct: function(strokes, config = BallotConfig) {
+      const groups = [];
+      const joins = [];
+
+      strokes.forEach((stroke, i) => {
+        const link = i > 0 ? this.continues(strokes[i - 1], stroke, config) : null;
+        if (link && link.joined) {
+          groups[groups.length - 1].push(i);
+          joins.push({ from: i - 1, to: i, gap: link.gap, pause: link.pause, turn: link.turn });
+        } else {
+          groups.push([i]);
+        }
+      });
+
+      return { count: groups.length, groups, joins };
+    },
+
+    /**
+     * Concatenate strokes along reconstructed groups
+     * @param {Array} strokes - Strokes indexed like the groups (one per recorded stroke)
+     * @param {Array} groups - Groups from reconstruct()
+     * @returns {Array} One stroke per group
+     */
+    join: function(strokes, groups) {
+      return groups.map(group => group.length === 1 ? strokes[group[0]] : [].concat(...group.map(i => strokes[i])));
+    }
+  };
+});
@@ -3,56 +3,86 @@
  * Calculate what percentage of ink aligns with cross axes
  */
 
-window.BallotExplainedInk = {
-  /**
-   * Calculate explained ink ratio for extra writing detection
-   * @param {Object} bestCandidate - Best cross candidate {point, armAngles}
-   * @param {Array} processedStrokes - Processed strokes (not used, kept for compatibility)
-   * @param {Array} segments - All segments from buildSegments()
-   * @returns {number} Ratio [0, 1] of explained ink
-   */
-  calculateExplainedInkRatio: function(bestCandidate, processedStrokes, segments) {
-    const P = bestCandidate.point;
-    const dirA = bestCandidate.armAngles[0] % 180;
-    const dirB = bestCandidate.armAngles[2] % 180;
-
-    let totalLength = 0;
-    let explainedLength = 0;
-
-    for (const seg of segments) {
-      const mid = BallotGeometry.segmentMidpoint(seg);
-      const segLen = seg.length;
-      totalLength += segLen;
-
-      // Calculate segment angle
-      const segAngle = Math.atan2(seg.p2.y - seg.p1.y, seg.p2.x - seg.p1.x);
-      const segDir = ((segAngle * 180 / Math.PI) % 180 + 180) % 180;
-
-      // Check alignment with dirA
-      const angleDiffA = Math.min(
-        Math.abs(segDir - dirA),
-        180 - Math.abs(segDir - dirA)
-      );
-      const perpDistA = BallotGeometry.pointToLineDistance(mid, P, dirA);
-
-      // Check alignment with dirB
-      const angleDiffB = Math.min(
-        Math.abs(segDir - dirB),
-        180 - Math.abs(segDir - dirB)
-      );
-      const perpDistB = BallotGeometry.pointToLineDistance(mid, P, dirB);
-
-      // Segment is explained if aligned with either direction
-      const explainedByA = (angleDiffA <= BallotConfig.ARM_CORRIDOR_ANGLE_TOL_DEG &&
-                           perpDistA <= BallotConfig.ARM_CORRIDOR_DIST_PX);
-      const explainedByB = (angleDiffB <= BallotConfig.ARM_CORRIDOR_ANGLE_TOL_DEG &&
-                           perpDistB <= BallotConfig.ARM_CORRIDOR_DIST_PX);
-
-      if (explainedByA || explainedByB) {
-        explainedLength += segLen;
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./spatial-index'));
+  } else {
+    root.BallotExplainedInk = factory(root.BallotConfig, root.BallotGeometry, root.BallotSpatialIndex);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotSpatialIndex) {
+  return {
+    /**
+     * Calculate explained ink ratio for extra writing detection
+     * @param {Object} bestCandidate - Best cross candidate {point, armAngles, pathSegments}
+     *                                 (pathSegments: "stroke:segment" keys of arms followed along the ink)
+     * @param {Array} processedStrokes - Processed strokes (not used, kept for compatibility)
+     * @param {Array} segments - All segments from buildSegments()
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Object} index - Spatial index over segments (default: check every segment)
+     * @returns {number} Ratio [0, 1] of explained ink
+     */
+    calculateExplainedInkRatio: function(bestCandidate, processedStrokes, segments, config = BallotConfig,
+                                         index = null) {
+      const P = bestCandidate.point;
+      const dirA = bestCandidate.armAngles[0] % 180;
+      const dirB = bestCandidate.armAngles[2] % 180;
+
+      // Only segments near either cross axis can be explained
+      let nearAxes = null;
+      if (index) {
+        nearAxes = new Uint8Array(segments.length);
+        for (const dir of [dirA, dirB]) {
+          for (const i of BallotSpatialIndex.queryBand(index, P, dir, config.ARM_CORRIDOR_DIST_PX)) nearAxes[i] = 1;
+        }
       }
-    }
 
-    return totalLength > 0 ? explainedLength / totalLength : 0;
-  }
-};
+      // Arms measured along the ink explain their own segments, however curved
+      const followed = new Set(bestCandidate.pathSegments || []);
+
+      let totalLength = 0;
+      let explainedLength = 0;
+
+      for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        const mid = BallotGeometry.segmentMidpoint(seg);
+        const segLen = seg.length;
+        totalLength += segLen;
+        if (followed.has(seg.strokeIndex + ':' + seg.segmentIndex)) {
+          explainedLength += segLen;
+          continue;
+        }
+        if (nearAxes && !nearAxes[i]) continue;
+
+        // Calculate segment angle
+        const segAngle = Math.atan2(seg.p2.y - seg.p1.y, seg.p2.x - seg.p1.x);
+        const segDir = ((segAngle * 180 / Math.PI) % 180 + 180) % 180;
+
+        // Check alignment with dirA
+        const angleDiffA = Math.min(
+          Math.abs(segDir - dirA),
+          180 - Math.abs(segDir - dirA)
+        );
+        const perpDistA = BallotGeometry.pointToLineDistance(mid, P, dirA);
+
+        // Check alignment with dirB
+        const angleDiffB = Math.min(
+          Math.abs(segDir - dirB),
+          180 - Math.abs(segDir - dirB)
+        );
+        const perpDistB = BallotGeometry.pointToLineDistance(mid, P, dirB);
+
+        // Segment is explained if aligned with either direction
+        const explainedByA = (angleDiffA <= config.ARM_CORRIDOR_ANGLE_TOL_DEG &&
+                             perpDistA <= config.ARM_CORRIDOR_DIST_PX);
+        const explainedByB = (angleDiffB <= config.ARM_CORRIDOR_ANGLE_TOL_DEG &&
+                             perpDistB <= config.ARM_CORRIDOR_DIST_PX);
+
+        if (explainedByA || explainedByB) {
+          explainedLength += segLen;
+        }
+      }
+
+      return totalLength > 0 ? explainedLength / totalLength : 0;
+    }
+  };
+});
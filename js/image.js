@@ -0,0 +1,396 @@
+/**
+ * Image Decoding
+ * Pure JS PNG and PGM decoding to 8-bit grayscale (no DOM, no native modules)
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BallotImage = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  // DEFLATE tables (RFC 1951)
+  const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+                       35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+  const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+                        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+  const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+                     257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+  const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+                      7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+  const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+  const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+  /**
+   * Build a canonical Huffman decoding table
+   * @param {Array} lengths - Code length per symbol
+   * @returns {Object} {counts, symbols}
+   */
+  function buildHuffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (const len of lengths) counts[len]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let len = 1; len < 15; len++) {
+      offsets[len + 1] = offsets[len] + counts[len];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let sym = 0; sym < lengths.length; sym++) {
+      if (lengths[sym]) symbols[offsets[lengths[sym]]++] = sym;
+    }
+
+    return { counts, symbols };
+  }
+
+  /**
+   * Inflate a zlib stream
+   * @param {Uint8Array} data - zlib-wrapped DEFLATE data
+   * @returns {Uint8Array} Decompressed bytes
+   */
+  function inflate(data) {
+    let pos = 2;  // Skip zlib header (CMF, FLG)
+    let bitBuf = 0;
+    let bitCount = 0;
+    let out = new Uint8Array(Math.max(1024, data.length * 4));
+    let outLen = 0;
+
+    const bits = (n) => {
+      while (bitCount < n) {
+        if (pos >= data.length) throw new Error('PNG data is truncated');
+        bitBuf |= data[pos++] << bitCount;
+        bitCount += 8;
+      }
+      const value = bitBuf & ((1 << n) - 1);
+      bitBuf >>>= n;
+      bitCount -= n;
+      return value;
+    };
+
+    const ensure = (extra) => {
+      if (outLen + extra <= out.length) return;
+      let size = out.length * 2;
+      while (size < outLen + extra) size *= 2;
+      const grown = new Uint8Array(size);
+      grown.set(out.subarray(0, outLen));
+      out = grown;
+    };
+
+    const decodeSymbol = (table) => {
+      let code = 0;
+      let first = 0;
+      let index = 0;
+      for (let len = 1; len < 16; len++) {
+        code |= bits(1);
+        const count = table.counts[len];
+        if (code - count < first) return table.symbols[index + (code - first)];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      throw new Error('Invalid Huffman code in PNG data');
+    };
+
+    let fixedLit = null;
+    let fixedDist = null;
+    let last = 0;
+
+    while (!last) {
+      last = bits(1);
+      const type = bits(2);
+
+      if (type === 0) {
+        // Stored block
+        bitBuf = 0;
+        bitCount = 0;
+        const len = data[pos] | (data[pos + 1] << 8);
+        pos += 4;
+        ensure(len);
+        out.set(data.subarray(pos, pos + len), outLen);
+        outLen += len;
+        pos += len;
+        continue;
+      }
+
+      let lit;
+      let dist;
+      if (type === 1) {
+        if (!fixedLit) {
+          const lengths = new Array(288);
+          for (let i = 0; i < 288; i++) {
+            lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+          }
+          fixedLit = buildHuffman(lengths);
+          fixedDist = buildHuffman(new Array(30).fill(5));
+        }
+        lit = fixedLit;
+        dist = fixedDist;
+      } else if (type === 2) {
+        const nlen = bits(5) + 257;
+        const ndist = bits(5) + 1;
+        const ncode = bits(4) + 4;
+
+        const codeLengths = new Array(19).fill(0);
+        for (let i = 0; i < ncode; i++) {
+          codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+        }
+        const codeTable = buildHuffman(codeLengths);
+
+        const lengths = [];
+        while (lengths.length < nlen + ndist) {
+          const sym = decodeSymbol(codeTable);
+          if (sym < 16) {
+            lengths.push(sym);
+          } else if (sym === 16) {
+            const prev = lengths[lengths.length - 1];
+            for (let n = 3 + bits(2); n > 0; n--) lengths.push(prev);
+          } else if (sym === 17) {
+            for (let n = 3 + bits(3); n > 0; n--) lengths.push(0);
+          } else {
+            for (let n = 11 + bits(7); n > 0; n--) lengths.push(0);
+          }
+        }
+
+        lit = buildHuffman(lengths.slice(0, nlen));
+        dist = buildHuffman(lengths.slice(nlen));
+      } else {
+        throw new Error('Invalid DEFLATE block type');
+      }
+
+      for (;;) {
+        const sym = decodeSymbol(lit);
+        if (sym < 256) {
+          ensure(1);
+          out[outLen++] = sym;
+        } else if (sym === 256) {
+          break;
+        } else {
+          const li = sym - 257;
+          const len = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+          const di = decodeSymbol(dist);
+          const back = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+          ensure(len);
+          for (let i = 0; i < len; i++) {
+            out[outLen] = out[outLen - back];
+            outLen++;
+          }
+        }
+      }
+    }
+
+    return out.subarray(0, outLen);
+  }
+
+  /**
+   * Paeth predictor (PNG filter type 4)
+   */
+  function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+  }
+
+  return {
+    inflate: inflate,
+
+    /**
+     * Decode a PNG or PGM file, detected by its signature
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Grayscale image {width, height, data: Uint8Array (0 = black, 255 = white)}
+     */
+    decode: function(bytes) {
+      if (PNG_SIGNATURE.every((b, i) => bytes[i] === b)) {
+        return this.decodePNG(bytes);
+      }
+      if (bytes[0] === 0x50 && (bytes[1] === 0x32 || bytes[1] === 0x35)) {  // "P2" / "P5"
+        return this.decodePGM(bytes);
+      }
+      throw new Error('Unsupported image format (expected PNG or PGM)');
+    },
+
+    /**
+     * Decode a binary (P5) or ASCII (P2) PGM file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Grayscale image {width, height, data}
+     */
+    decodePGM: function(bytes) {
+      let pos = 2;
+      const ascii = bytes[1] === 0x32;
+
+      const nextToken = () => {
+        for (;;) {
+          while (pos < bytes.length && /\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+          if (bytes[pos] !== 0x23) break;  // "#" comment
+          while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+        }
+        const start = pos;
+        while (pos < bytes.length && !/\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+        if (start === pos) throw new Error('PGM data is truncated');
+        return parseInt(String.fromCharCode(...bytes.subarray(start, pos)), 10);
+      };
+
+      const width = nextToken();
+      const height = nextToken();
+      const maxval = nextToken();
+      if (!(width > 0 && height > 0 && maxval > 0 && maxval < 65536)) {
+        throw new Error('Invalid PGM header');
+      }
+
+      const data = new Uint8Array(width * height);
+      const wide = maxval > 255;
+      pos++;  // Single whitespace after maxval
+
+      for (let i = 0; i < data.length; i++) {
+        let v;
+        if (ascii) {
+          v = nextToken();
+        } else if (wide) {
+          v = (bytes[pos] << 8) | bytes[pos + 1];
+          pos += 2;
+        } else {
+          v = bytes[pos++];
+        }
+        if (v === undefined || isNaN(v)) throw new Error('PGM data is truncated');
+        data[i] = Math.round(v * 255 / maxval);
+      }
+
+      return { width, height, data };
+    },
+
+    /**
+     * Decode a non-interlaced PNG (any bit depth / color type) to grayscale
+     * Transparent pixels are composited over white paper
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} Grayscale image {width, height, data}
+     */
+    decodePNG: function(bytes) {
+      const u32 = (arr, p) => ((arr[p] << 24) | (arr[p + 1] << 16) | (arr[p + 2] << 8) | arr[p + 3]) >>> 0;
+
+      let pos = 8;
+      let header = null;
+      let palette = null;
+      let transparency = null;
+      const idat = [];
+
+      while (pos + 8 <= bytes.length) {
+        const length = u32(bytes, pos);
+        const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+        const chunk = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+          header = {
+            width: u32(chunk, 0),
+            height: u32(chunk, 4),
+            bitDepth: chunk[8],
+            colorType: chunk[9],
+            interlace: chunk[12]
+          };
+        } else if (type === 'PLTE') {
+          palette = chunk;
+        } else if (type === 'tRNS') {
+          transparency = chunk;
+        } else if (type === 'IDAT') {
+          idat.push(chunk);
+        } else if (type === 'IEND') {
+          break;
+        }
+      }
+
+      if (!header) throw new Error('PNG has no IHDR chunk');
+      if (header.interlace) throw new Error('Interlaced PNG is not supported');
+
+      const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+      if (!channels) throw new Error('Unsupported PNG color type ' + header.colorType);
+      if (header.colorType === 3 && !palette) throw new Error('PNG palette is missing');
+
+      const compressed = new Uint8Array(idat.reduce((sum, c) => sum + c.length, 0));
+      let offset = 0;
+      for (const c of idat) {
+        compressed.set(c, offset);
+        offset += c.length;
+      }
+      const raw = inflate(compressed);
+
+      const { width, height, bitDepth } = header;
+      const bitsPerPixel = channels * bitDepth;
+      const stride = Math.ceil(width * bitsPerPixel / 8);
+      const bpp = Math.max(1, bitsPerPixel >> 3);
+      if (raw.length < height * (stride + 1)) throw new Error('PNG data is truncated');
+
+      // Undo scanline filters
+      const pixels = new Uint8Array(height * stride);
+      for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        for (let x = 0; x < stride; x++) {
+          const a = x >= bpp ? pixels[row + x - bpp] : 0;
+          const b = y > 0 ? pixels[row - stride + x] : 0;
+          const c = x >= bpp && y > 0 ? pixels[row - stride + x - bpp] : 0;
+          let v = raw[src + x];
+          if (filter === 1) v += a;
+          else if (filter === 2) v += b;
+          else if (filter === 3) v += (a + b) >> 1;
+          else if (filter === 4) v += paeth(a, b, c);
+          pixels[row + x] = v;
+        }
+      }
+
+      // Read one sample (scaled to 0..255) of channel ch at pixel x in row y
+      const maxSample = (1 << bitDepth) - 1;
+      const sample = (y, x, ch) => {
+        const row = y * stride;
+        if (bitDepth === 8) return pixels[row + x * channels + ch];
+        if (bitDepth === 16) return pixels[row + (x * channels + ch) * 2];
+        const bitPos = (x * channels + ch) * bitDepth;
+        const byte = pixels[row + (bitPos >> 3)];
+        const v = (byte >> (8 - bitDepth - (bitPos & 7))) & maxSample;
+        return header.colorType === 3 ? v : Math.round(v * 255 / maxSample);
+      };
+
+      const data = new Uint8Array(width * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let gray;
+          let alpha = 255;
+
+          if (header.colorType === 3) {
+            const idx = sample(y, x, 0);
+            gray = 0.299 * palette[idx * 3] + 0.587 * palette[idx * 3 + 1] + 0.114 * palette[idx * 3 + 2];
+            if (transparency && idx < transparency.length) alpha = transparency[idx];
+          } else if (channels >= 3) {
+            gray = 0.299 * sample(y, x, 0) + 0.587 * sample(y, x, 1) + 0.114 * sample(y, x, 2);
+            if (channels === 4) alpha = sample(y, x, 3);
+          } else {
+            gray = sample(y, x, 0);
+            if (channels === 2) alpha = sample(y, x, 1);
+          }
+
+          data[y * width + x] = Math.round((gray * alpha + 255 * (255 - alpha)) / 255);
+        }
+      }
+
+      return { width, height, data };
+    },
+
+    /**
+     * Encode a grayscale image as binary PGM (P5)
+     * @param {Object} image - Grayscale image {width, height, data}
+     * @returns {Uint8Array} File contents
+     */
+    encodePGM: function(image) {
+      const header = `P5\n${image.width} ${image.height}\n255\n`;
+      const bytes = new Uint8Array(header.length + image.data.length);
+      for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+      bytes.set(image.data, header.length);
+      return bytes;
+    }
+  };
+});
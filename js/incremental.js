@@ -0,0 +1,167 @@
+/**
+ * Incremental Validation
+ * Keep preprocessed strokes, segments and intersections between strokes
+ * so each new stroke is only processed against the ones before it
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry'), require('./continuity'), require('./intersection'), require('./spatial-index'), require('./validation'));
+  } else {
+    root.BallotIncremental = factory(root.BallotGeometry, root.BallotContinuity, root.BallotIntersection, root.BallotSpatialIndex, root.BallotValidation);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotGeometry, BallotContinuity, BallotIntersection, BallotSpatialIndex, BallotValidation) {
+  /**
+   * Order intersections as findAllIntersections does: by (first segment, second segment)
+   */
+  function comparePairs(a, b) {
+    return (a.seg1.strokeIndex - b.seg1.strokeIndex) ||
+           (a.seg1.segmentIndex - b.seg1.segmentIndex) ||
+           (a.seg2.strokeIndex - b.seg2.strokeIndex) ||
+           (a.seg2.segmentIndex - b.seg2.segmentIndex);
+  }
+
+  /**
+   * Merge two intersection lists that are each already in pair order
+   */
+  function mergePairs(earlier, added) {
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < earlier.length && j < added.length) {
+      merged.push(comparePairs(earlier[i], added[j]) <= 0 ? earlier[i++] : added[j++]);
+    }
+    while (i < earlier.length) merged.push(earlier[i++]);
+    while (j < added.length) merged.push(added[j++]);
+    return merged;
+  }
+
+  /**
+   * Validation session for one vote box that grows stroke by stroke
+   */
+  class IncrementalValidator {
+    /**
+     * @param {Object} options - validateMark options {debug, box, profile}
+     */
+    constructor(options = {}) {
+      const { profile, config } = BallotValidation.resolveConfig(options);
+      this.options = Object.assign({}, options, { profile: profile });
+      this.config = config;
+      this.reset();
+    }
+
+    /**
+     * Forget all strokes
+     */
+    reset() {
+      this.strokes = [];
+      this.prepared = {
+        drawnStrokes: [],
+        processedStrokes: [],
+        retrace: { length: 0, retracedLength: 0 },
+        totalInkLength: 0,
+        overshoots: [],
+        segments: [],
+        index: BallotSpatialIndex.build([], this.config),
+        intersections: []
+      };
+    }
+
+    /**
+     * Add a stroke and validate all strokes so far
+     * @param {Array} stroke - Array of points {x, y}
+     * @returns {Object} Validation result, identical to validateMark on all strokes
+     */
+    addStroke(stroke) {
+      this.prepareStroke(stroke);
+      return this.validate();
+    }
+
+    /**
+     * Validate a stroke list, reusing work when it extends the strokes seen so far
+     * Any other change (undo, a different mark) starts over from scratch
+     * @param {Array} strokes - Array of strokes
+     * @returns {Object} Validation result, identical to validateMark(strokes)
+     */
+    update(strokes) {
+      const extendsSeen = strokes.length >= this.strokes.length &&
+                          this.strokes.every((stroke, i) => strokes[i] === stroke);
+      if (!extendsSeen) this.reset();
+
+      for (let i = this.strokes.length; i < strokes.length; i++) {
+        this.prepareStroke(strokes[i]);
+      }
+      return this.validate();
+    }
+
+    /**
+     * Validate the strokes seen so far from the kept geometry
+     * @returns {Object} Validation result
+     */
+    validate() {
+      return BallotValidation.validateMark(this.strokes, Object.assign({}, this.options, { prepared: this.prepared }));
+    }
+
+    /**
+     * Process one new stroke against the kept geometry
+     * A stroke continuing the previous one after a pen skip joins it, and the kept
+     * geometry is rebuilt with the joined line
+     * @param {Array} stroke - Array of points {x, y}
+     */
+    prepareStroke(stroke) {
+      const previous = this.strokes[this.strokes.length - 1];
+      if (!previous || !BallotContinuity.continues(previous, stroke, this.config).joined) {
+        this.prepareLine([stroke]);
+        this.strokes.push(stroke);
+        return;
+      }
+
+      const strokes = this.strokes.concat([stroke]);
+      this.reset();
+      for (const group of BallotContinuity.reconstruct(strokes, this.config).groups) {
+        this.prepareLine(group.map(i => strokes[i]));
+      }
+      this.strokes = strokes;
+    }
+
+    /**
+     * Process one reconstructed line (strokes joined across pen skips) against the kept geometry
+     * @param {Array} strokes - The line's strokes in drawing order
+     */
+    prepareLine(strokes) {
+      const config = this.config;
+      const prepared = this.prepared;
+      const merged = BallotValidation.mergeStroke([].concat(...strokes), prepared.segments, config, prepared.index);
+
+      for (const stroke of strokes) prepared.totalInkLength += BallotGeometry.strokeLength(stroke);
+      prepared.drawnStrokes.push(merged.drawn);
+      prepared.retrace.length += merged.length;
+      prepared.retrace.retracedLength += merged.retracedLength;
+
+      const firstNew = prepared.segments.length;
+      for (const piece of merged.pieces) {
+        for (const seg of BallotIntersection.buildSegments([piece], prepared.processedStrokes.length)) {
+          prepared.segments.push(seg);
+        }
+        prepared.processedStrokes.push(piece);
+        prepared.overshoots.push(BallotValidation.measureOvershoot(piece, config));
+      }
+      prepared.index = BallotSpatialIndex.build(prepared.segments, config);
+
+      // Only pairs involving the new stroke's segments are new
+      const added = BallotIntersection.findAllIntersections(prepared.segments, config, prepared.index, firstNew);
+      prepared.intersections = mergePairs(prepared.intersections, added);
+    }
+  }
+
+  return {
+    /**
+     * Start an incremental validation session
+     * @param {Object} options - validateMark options {debug, box, profile}
+     * @returns {IncrementalValidator} Session with addStroke(stroke), update(strokes), validate(), reset()
+     */
+    create: function(options = {}) {
+      return new IncrementalValidator(options);
+    }
+  };
+});
@@ -0,0 +1,318 @@
+/**
+ * Ink Skeleton Graph
+ * Planar graph of the ink: nodes at stroke ends and junctions, edges along the strokes between them
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./topology'));
+  } else {
+    root.BallotInkGraph = factory(root.BallotConfig, root.BallotGeometry, root.BallotTopology);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotTopology) {
+  /**
+   * Arc length from a stroke's start to each of its points
+   */
+  function cumulativeLengths(stroke) {
+    const lengths = [0];
+    for (let i = 1; i < stroke.length; i++) {
+      lengths.push(lengths[i - 1] + BallotGeometry.dist(stroke[i - 1], stroke[i]));
+    }
+    return lengths;
+  }
+
+  /**
+   * Closest point on segment p1-p2 to pt, with its position t in [0, 1]
+   */
+  function project(pt, p1, p2) {
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((pt.x - p1.x) * dx + (pt.y - p1.y) * dy) / lenSq));
+    const point = { x: p1.x + t * dx, y: p1.y + t * dy };
+    return { point, t, distance: BallotGeometry.dist(pt, point) };
+  }
+
+  /**
+   * Stroke polyline between two arc-length positions
+   */
+  function slicePath(stroke, lengths, from, to) {
+    const at = (s) => {
+      let i = 1;
+      while (i < stroke.length - 1 && lengths[i] < s) i++;
+      const span = lengths[i] - lengths[i - 1];
+      const t = span > 0 ? (s - lengths[i - 1]) / span : 0;
+      return {
+        x: stroke[i - 1].x + (stroke[i].x - stroke[i - 1].x) * t,
+        y: stroke[i - 1].y + (stroke[i].y - stroke[i - 1].y) * t
+      };
+    };
+
+    const path = [at(from)];
+    for (let i = 0; i < stroke.length; i++) {
+      if (lengths[i] > from && lengths[i] < to) path.push(stroke[i]);
+    }
+    path.push(at(to));
+    return path;
+  }
+
+  /**
+   * Point a given distance along a path (its end if the path is shorter)
+   */
+  function pointAlong(path, distance) {
+    let remaining = distance;
+    for (let i = 1; i < path.length; i++) {
+      const step = BallotGeometry.dist(path[i - 1], path[i]);
+      if (step >= remaining && step > 0) {
+        const t = remaining / step;
+        return {
+          x: path[i - 1].x + (path[i].x - path[i - 1].x) * t,
+          y: path[i - 1].y + (path[i].y - path[i - 1].y) * t
+        };
+      }
+      remaining -= step;
+    }
+    return path[path.length - 1];
+  }
+
+  return {
+    /**
+     * Build the ink graph
+     * Junctions are the crossings plus stroke ends that touch other ink (T junctions);
+     * nodes closer than GRAPH_NODE_MERGE_PX are one node, so a retraced crossing stays one junction
+     * @param {Array} strokes - Processed strokes (resampled and simplified)
+     * @param {Array} intersections - Crossings from BallotIntersection (real or gapped)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} Graph {nodes: [{x, y, degree}], edges: [{from, to, length, strokeIndex, path}], components}
+     */
+    build: function(strokes, intersections, config = BallotConfig) {
+      const lengths = strokes.map(cumulativeLengths);
+      const cuts = strokes.map(() => []);  // Per stroke: [{at, point}] in arc length
+      const points = [];
+      const links = [];  // Points cutting a stroke at the same place: one node however far apart
+
+      const addCut = (strokeIndex, at, point) => {
+        const same = cuts[strokeIndex].find(cut => Math.abs(cut.at - at) < 1e-6);
+        if (same) links.push([same.node, points.length]);
+        cuts[strokeIndex].push({ at: at, node: points.length });
+        points.push({ x: point.x, y: point.y });
+      };
+
+      // Stroke ends
+      strokes.forEach((stroke, si) => {
+        addCut(si, 0, stroke[0]);
+        addCut(si, lengths[si][stroke.length - 1], stroke[stroke.length - 1]);
+      });
+
+      // Crossings: cut each stroke the crossing lies on. A gapped crossing lies past a stroke's end,
+      // up to CROSS_GAP_MAX_PX away, and always cuts it there, joining that end to the junction
+      for (const inter of intersections) {
+        for (const seg of [inter.seg1, inter.seg2]) {
+          const hit = project(inter, seg.p1, seg.p2);
+          if (!inter.virtual && hit.distance > config.GRAPH_SNAP_PX) continue;
+          const at = lengths[seg.strokeIndex][seg.segmentIndex] + hit.t * seg.length;
+          addCut(seg.strokeIndex, at, inter);
+        }
+      }
+
+      // T junctions: a stroke end resting on another stroke cuts that stroke
+      strokes.forEach((stroke, si) => {
+        for (const end of [stroke[0], stroke[stroke.length - 1]]) {
+          strokes.forEach((other, oi) => {
+            if (oi === si) return;
+            let best = null;
+            for (let i = 0; i < other.length - 1; i++) {
+              const hit = project(end, other[i], other[i + 1]);
+              if (!best || hit.distance < best.distance) best = Object.assign(hit, { segmentIndex: i });
+            }
+            if (best && best.distance <= config.GRAPH_SNAP_PX) {
+              const i = best.segmentIndex;
+              addCut(oi, lengths[oi][i] + best.t * (lengths[oi][i + 1] - lengths[oi][i]), best.point);
+            }
+          });
+        }
+      });
+
+      // Merge nearby points into nodes (union-find, transitive)
+      const parent = points.map((p, i) => i);
+      const find = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+      };
+      const union = (i, j) => { parent[find(i)] = find(j); };
+      for (const [i, j] of links) union(i, j);
+
+      // Grid cells small enough that all points in one cell merge; neighbouring cells
+      // are compared point by point only while they are still apart
+      const mergeDist = config.GRAPH_NODE_MERGE_PX;
+      const cellSize = Math.max(mergeDist / Math.SQRT2, 0.5);
+      const reach = Math.ceil(mergeDist / cellSize);
+      const cells = new Map();
+      points.forEach((p, i) => {
+        const key = Math.floor(p.x / cellSize) + ',' + Math.floor(p.y / cellSize);
+        if (!cells.has(key)) cells.set(key, []);
+        else union(i, cells.get(key)[0]);
+        cells.get(key).push(i);
+      });
+      for (const [key, members] of cells) {
+        const [cx, cy] = key.split(',').map(Number);
+        for (let dy = 0; dy <= reach; dy++) {
+          for (let dx = -reach; dx <= reach; dx++) {
+            if (dy === 0 && dx <= 0) continue;
+            const others = cells.get((cx + dx) + ',' + (cy + dy));
+            if (!others) continue;
+            search: for (const i of members) {
+              for (const j of others) {
+                if (find(i) === find(j)) break search;
+                if (BallotGeometry.dist(points[i], points[j]) <= mergeDist) {
+                  union(i, j);
+                  break search;
+                }
+              }
+            }
+          }
+        }
+      }
+
+      const nodeOf = new Map();
+      const nodes = [];
+      points.forEach((p, i) => {
+        const rootIndex = find(i);
+        if (!nodeOf.has(rootIndex)) {
+          nodeOf.set(rootIndex, nodes.length);
+          nodes.push({ x: 0, y: 0, members: 0, degree: 0 });
+        }
+        const node = nodes[nodeOf.get(rootIndex)];
+        node.x += p.x;
+        node.y += p.y;
+        node.members++;
+      });
+      for (const node of nodes) {
+        node.x /= node.members;
+        node.y /= node.members;
+        delete node.members;
+      }
+
+      // Edges: the ink between consecutive cuts along each stroke
+      const edges = [];
+      strokes.forEach((stroke, si) => {
+        const sorted = cuts[si].slice().sort((a, b) => a.at - b.at);
+        for (let k = 1; k < sorted.length; k++) {
+          const from = nodeOf.get(find(sorted[k - 1].node));
+          const to = nodeOf.get(find(sorted[k].node));
+          const length = sorted[k].at - sorted[k - 1].at;
+          // Ink between two points of one merged node is part of that junction
+          if (from === to && length <= 2 * config.GRAPH_NODE_MERGE_PX) continue;
+          if (length <= 0) continue;
+
+          edges.push({
+            from: from,
+            to: to,
+            length: length,
+            strokeIndex: si,
+            path: slicePath(stroke, lengths[si], sorted[k - 1].at, sorted[k].at)
+          });
+          nodes[from].degree++;
+          nodes[to].degree++;
+        }
+      });
+
+      // Connected components over the edges
+      const component = nodes.map((n, i) => i);
+      const findComponent = (i) => (component[i] === i ? i : (component[i] = findComponent(component[i])));
+      for (const edge of edges) component[findComponent(edge.from)] = findComponent(edge.to);
+      const components = new Set(nodes.map((n, i) => findComponent(i))).size;
+
+      return { nodes: nodes, edges: edges, components: components };
+    },
+
+    /**
+     * Independent loops in the ink (cycle rank: edges - nodes + components)
+     * @param {Object} graph - Graph from build()
+     * @returns {number} Loop count
+     */
+    countLoops: function(graph) {
+      return graph.edges.length - graph.nodes.length + graph.components;
+    },
+
+    /**
+     * Summarize the graph
+     * @param {Object} graph - Graph from build()
+     * @returns {Object} {nodes, edges, endpoints (degree 1), junctions (degree 3+), maxDegree, loops, inkLength}
+     */
+    summarize: function(graph) {
+      return {
+        nodes: graph.nodes.length,
+        edges: graph.edges.length,
+        endpoints: graph.nodes.filter(n => n.degree === 1).length,
+        junctions: graph.nodes.filter(n => n.degree >= 3).length,
+        maxDegree: Math.max(0, ...graph.nodes.map(n => n.degree)),
+        loops: this.countLoops(graph),
+        inkLength: graph.edges.reduce((sum, e) => sum + e.length, 0)
+      };
+    },
+
+    /**
+     * Analyze the junction at a point: the arms leaving it and the loops closing on it
+     * Short dead ends (pen flicks) are not arms; edges leaving in one direction
+     * (retraced ink) are one arm
+     * @param {Object} graph - Graph from build()
+     * @param {Object} point - Point {x, y}, e.g. the cross center
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {node, degree, arms, armAngles, armLengths, loops, loopLengths}; node is -1 if no junction is near
+     */
+    analyzeJunction: function(graph, point, config = BallotConfig) {
+      const result = { node: -1, degree: 0, arms: 0, armAngles: [], armLengths: [], loops: 0, loopLengths: [] };
+
+      let nearest = Infinity;
+      graph.nodes.forEach((node, i) => {
+        const d = BallotGeometry.dist(node, point);
+        if (d <= config.GRAPH_NODE_MERGE_PX && d < nearest) {
+          nearest = d;
+          result.node = i;
+        }
+      });
+      if (result.node < 0) return result;
+
+      const center = graph.nodes[result.node];
+      result.degree = center.degree;
+
+      const headings = [];
+      for (const edge of graph.edges) {
+        if (edge.from === result.node && edge.to === result.node) {
+          result.loops++;
+          result.loopLengths.push(edge.length);
+          continue;
+        }
+        if (edge.from !== result.node && edge.to !== result.node) continue;
+
+        const path = edge.from === result.node ? edge.path : edge.path.slice().reverse();
+        const far = graph.nodes[edge.from === result.node ? edge.to : edge.from];
+        if (far.degree === 1 && edge.length < config.GRAPH_SPUR_PX) continue;
+
+        const probe = pointAlong(path, config.GRAPH_ARM_PROBE_PX);
+        const heading = ((Math.atan2(probe.y - center.y, probe.x - center.x) * 180 / Math.PI) % 360 + 360) % 360;
+        headings.push({ angle: heading / 2, weight: edge.length });
+      }
+
+      // clusterAngles wraps at 180°: halve the full-circle headings to reuse it
+      const arms = BallotTopology.clusterAngles(headings, config.BRANCH_ANGLE_CLUSTER_TOL_DEG / 2);
+      result.arms = arms.length;
+      result.armAngles = arms.map(a => ((a.angle * 2) % 360 + 360) % 360);
+      result.armLengths = arms.map(a => a.weight);
+      return result;
+    },
+
+    /**
+     * Decide the shape at a junction
+     * @param {Object} junction - Result of analyzeJunction()
+     * @returns {string} 'cross' (4 arms), 'loop' (4 arms and a loop through the center),
+     *                   'star' (more than 4 arms) or 'none' (fewer)
+     */
+    classifyJunction: function(junction) {
+      if (junction.arms > 4) return 'star';
+      if (junction.arms < 4) return 'none';
+      return junction.loops > 0 ? 'loop' : 'cross';
+    }
+  };
+});
@@ -0,0 +1,54 @@
+/**
+ * Ink Model
+ * Width of the inked line around a stroke's centerline, from pen width and pressure
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'));
+  } else {
+    root.BallotInk = factory(root.BallotConfig);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig) {
+  return {
+    /**
+     * Ink width at a point
+     * Points without pressure (mouse, touch, scans) are drawn at the nominal pen width
+     * @param {Object} point - Point {x, y, pressure?} (pressure in [0, 1], 0.5 = nominal)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {number} Width in pixels
+     */
+    widthAt: function(point, config = BallotConfig) {
+      const pressure = point.pressure;
+      if (typeof pressure !== 'number' || !(pressure > 0) || pressure > 1) {
+        return config.STROKE_WIDTH_PX;
+      }
+
+      const ratio = config.INK_MIN_WIDTH_RATIO +
+                    (config.INK_MAX_WIDTH_RATIO - config.INK_MIN_WIDTH_RATIO) * pressure;
+      return config.STROKE_WIDTH_PX * ratio;
+    },
+
+    /**
+     * Ink radius (half width) at a position along a segment
+     * @param {Object} p1 - Segment start {x, y, pressure?}
+     * @param {Object} p2 - Segment end {x, y, pressure?}
+     * @param {number} t - Position along the segment, clamped to [0, 1]
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {number} Radius in pixels
+     */
+    radiusAlong: function(p1, p2, t, config = BallotConfig) {
+      const s = Math.max(0, Math.min(1, t));
+      return (this.widthAt(p1, config) * (1 - s) + this.widthAt(p2, config) * s) / 2;
+    },
+
+    /**
+     * Widest radius any ink can have under the config (bounds spatial queries)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {number} Radius in pixels
+     */
+    maxRadius: function(config = BallotConfig) {
+      return config.STROKE_WIDTH_PX * Math.max(1, config.INK_MIN_WIDTH_RATIO, config.INK_MAX_WIDTH_RATIO) / 2;
+    }
+  };
+});
@@ -16,6 +16,7 @@ window.ballotState = {
   // Module-private variable
   let canvas = null;
   let ctx = null;
+  let session = null;  // Incremental validation session (kiosk mode)
 
   window.BallotInput = {
     /**
@@ -31,15 +32,19 @@ window.ballotState = {
     /**
      * Convert viewport coordinates to canvas coordinates
      * @param {PointerEvent} evt - Pointer event
-     * @returns {Object} Point {x, y, t}
+     * @returns {Object} Point {x, y, t, pressure?} (pressure from pens only; mice report a constant)
      */
     getCanvasPoint: function(evt) {
       const rect = canvas.getBoundingClientRect();
-      return {
+      const pt = {
         x: (evt.clientX - rect.left) * (BallotConfig.LOGICAL_WIDTH / rect.width),
         y: (evt.clientY - rect.top) * (BallotConfig.LOGICAL_HEIGHT / rect.height),
         t: Date.now()
       };
+      if (evt.pointerType === 'pen' && evt.pressure > 0) {
+        pt.pressure = evt.pressure;
+      }
+      return pt;
     },
 
     /**
@@ -49,6 +54,9 @@ window.ballotState = {
     handlePointerDown: function(evt) {
       if (window.ballotState.activePointerId !== null) return;
 
+      // A result landing mid-stroke would redraw the canvas over the stroke being drawn
+      BallotValidator.cancel();
+
       window.ballotState.activePointerId = evt.pointerId;
       canvas.setPointerCapture(evt.pointerId);
 
@@ -72,7 +80,7 @@ window.ballotState = {
       if (window.ballotState.currentStroke.length >= 2) {
         const prev = window.ballotState.currentStroke[window.ballotState.currentStroke.length - 2];
         ctx.strokeStyle = '#222';
-        ctx.lineWidth = BallotConfig.STROKE_WIDTH_PX;
+        ctx.lineWidth = BallotInk.widthAt(pt);
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
         ctx.beginPath();
@@ -119,43 +127,71 @@ window.ballotState = {
 
     /**
      * Schedule validation with debounce
+     * Runs in the validation worker when available; newer strokes cancel an evaluation in flight.
+     * In kiosk mode (INCREMENTAL_VALIDATION) each stroke is validated at once instead.
      */
     scheduleEvaluation: function() {
+      if (BallotConfig.INCREMENTAL_VALIDATION) {
+        if (!session) session = BallotIncremental.create({ debug: true });
+        this.showResult(session.update(window.ballotState.strokes));
+        return;
+      }
+
       if (window.ballotState.evaluationTimer) {
         clearTimeout(window.ballotState.evaluationTimer);
       }
+      BallotValidator.cancel();
 
       window.ballotState.evaluationTimer = setTimeout(() => {
-        const result = BallotValidation.validateMark(window.ballotState.strokes, { debug: true });
-
-        // Store validation result and debug data globally
-        window.lastValidation = result;
-        window.ballotState.debugData = result.debug || null;
-
-        // Log validation result with debug info if available
-        if (result.debug) {
-          console.log('Validation result:', {
-            valid: result.valid,
-            invalid_type: result.invalid_type,
-            reason: result.reason,
-            debug: result.debug
+        window.ballotState.evaluationTimer = null;
+
+        BallotValidator.validate(window.ballotState.strokes, { debug: true })
+          .then(result => this.showResult(result))
+          .catch(e => {
+            if (!e.cancelled) console.error('Validation failed:', e);
           });
-        }
+      }, BallotConfig.EVALUATION_DEBOUNCE_MS);
+    },
 
-        BallotUI.updateResult(result);
+    /**
+     * Show a validation result on the badge and debug overlay
+     * @param {Object} result - Validation result
+     */
+    showResult: function(result) {
+      // Store validation result and debug data globally
+      window.lastValidation = result;
+      window.ballotState.debugData = result.debug || null;
+
+      // Log validation result with debug info if available
+      if (result.debug) {
+        console.log('Validation result:', {
+          valid: result.valid,
+          invalid_type: result.invalid_type,
+          reason: result.reason,
+          debug: result.debug
+        });
+      }
 
-        // Redraw with debug overlay if enabled
-        const debugToggle = document.getElementById('debugToggle');
-        if (debugToggle && debugToggle.checked) {
-          BallotUI.redrawAllStrokes(window.ballotState.strokes, window.ballotState.debugData);
-        }
-      }, BallotConfig.EVALUATION_DEBOUNCE_MS);
+      BallotUI.updateResult(result);
+
+      // Redraw with debug overlay if enabled
+      const debugToggle = document.getElementById('debugToggle');
+      if (debugToggle && debugToggle.checked) {
+        BallotUI.redrawAllStrokes(window.ballotState.strokes, window.ballotState.debugData);
+      }
     },
 
     /**
      * Clear all strokes and reset state
      */
     clear: function() {
+      if (window.ballotState.evaluationTimer) {
+        clearTimeout(window.ballotState.evaluationTimer);
+        window.ballotState.evaluationTimer = null;
+      }
+      BallotValidator.cancel();
+      if (session) session.reset();
+
       window.ballotState.strokes = [];
       window.ballotState.currentStroke = null;
       window.ballotState.debugData = null;
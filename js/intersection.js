@@ -3,109 +3,296 @@
  * Find intersection points between stroke segments
  */
 
-window.BallotIntersection = {
-  /**
-   * Build line segments from strokes
-   * @param {Array} strokes - Array of strokes (each stroke is array of points)
-   * @returns {Array} Array of segments with metadata
-   */
-  buildSegments: function(strokes) {
-    const segments = [];
-    for (let si = 0; si < strokes.length; si++) {
-      const stroke = strokes[si];
-      const strokeStart = stroke[0];
-      const strokeEnd = stroke[stroke.length - 1];
-
-      for (let i = 0; i < stroke.length - 1; i++) {
-        segments.push({
-          p1: stroke[i],
-          p2: stroke[i + 1],
-          strokeIndex: si,
-          segmentIndex: i,
-          length: BallotGeometry.dist(stroke[i], stroke[i + 1]),
-          strokeStart: strokeStart,  // Store actual stroke endpoints
-          strokeEnd: strokeEnd
-        });
-      }
-    }
-    return segments;
-  },
-
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./ink'), require('./spatial-index'));
+  } else {
+    root.BallotIntersection = factory(root.BallotConfig, root.BallotGeometry, root.BallotInk, root.BallotSpatialIndex);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotInk, BallotSpatialIndex) {
   /**
-   * Find intersection between two line segments
-   * @param {Object} seg1 - First segment {p1, p2, strokeStart, strokeEnd}
-   * @param {Object} seg2 - Second segment {p1, p2, strokeStart, strokeEnd}
-   * @returns {Object|null} Intersection {x, y, angle, seg1, seg2} or null
+   * Parameters where segment a1-a2 crosses segment b1-b2, or null
    */
-  findSegmentIntersection: function(seg1, seg2) {
-    const dx1 = seg1.p2.x - seg1.p1.x;
-    const dy1 = seg1.p2.y - seg1.p1.y;
-    const dx2 = seg2.p2.x - seg2.p1.x;
-    const dy2 = seg2.p2.y - seg2.p1.y;
+  function crossParams(a1, a2, b1, b2) {
+    const dx1 = a2.x - a1.x;
+    const dy1 = a2.y - a1.y;
+    const dx2 = b2.x - b1.x;
+    const dy2 = b2.y - b1.y;
 
     const det = dx1 * dy2 - dy1 * dx2;
     if (Math.abs(det) < 1e-10) return null;
 
-    const t = ((seg2.p1.x - seg1.p1.x) * dy2 - (seg2.p1.y - seg1.p1.y) * dx2) / det;
-    const u = ((seg2.p1.x - seg1.p1.x) * dy1 - (seg2.p1.y - seg1.p1.y) * dx1) / det;
-
+    const t = ((b1.x - a1.x) * dy2 - (b1.y - a1.y) * dx2) / det;
+    const u = ((b1.x - a1.x) * dy1 - (b1.y - a1.y) * dx1) / det;
     if (t < 0 || t > 1 || u < 0 || u > 1) return null;
 
-    const ix = seg1.p1.x + t * dx1;
-    const iy = seg1.p1.y + t * dy1;
-
-    // Exclude endpoint touches - but only check ACTUAL stroke endpoints, not RDP intermediate points
-    const nearStrokeEndpoint = (pt) => {
-      return BallotGeometry.dist(pt, seg1.strokeStart) < BallotConfig.ENDPOINT_EPS_PX ||
-             BallotGeometry.dist(pt, seg1.strokeEnd) < BallotConfig.ENDPOINT_EPS_PX ||
-             BallotGeometry.dist(pt, seg2.strokeStart) < BallotConfig.ENDPOINT_EPS_PX ||
-             BallotGeometry.dist(pt, seg2.strokeEnd) < BallotConfig.ENDPOINT_EPS_PX;
-    };
-    if (nearStrokeEndpoint({x: ix, y: iy})) return null;
-
-    // Calculate crossing angle
-    const angle1 = Math.atan2(dy1, dx1);
-    const angle2 = Math.atan2(dy2, dx2);
-    let crossAngle = Math.abs(angle1 - angle2) * 180 / Math.PI;
-    if (crossAngle > 90) crossAngle = 180 - crossAngle;
-
-    if (crossAngle < BallotConfig.MIN_CROSSING_ANGLE_DEG) return null;
-
-    // Return WITH segment references
-    return {
-      x: ix,
-      y: iy,
-      angle: crossAngle,
-      seg1: seg1,
-      seg2: seg2
-    };
-  },
+    return { t, u, x: a1.x + t * dx1, y: a1.y + t * dy1 };
+  }
 
   /**
-   * Find all intersections between segments (within vote box)
-   * @param {Array} segments - Array of segments from buildSegments()
-   * @returns {Array} Array of intersections
+   * Acute angle between two directions, in degrees
    */
-  findAllIntersections: function(segments) {
-    const intersections = [];
+  function acuteAngle(dx1, dy1, dx2, dy2) {
+    let angle = Math.abs(Math.atan2(dy1, dx1) - Math.atan2(dy2, dx2)) * 180 / Math.PI;
+    if (angle > 180) angle = 360 - angle;
+    return angle > 90 ? 180 - angle : angle;
+  }
+
+  return {
+    /**
+     * Build line segments from strokes
+     * @param {Array} strokes - Array of strokes (each stroke is array of points)
+     * @param {number} firstStrokeIndex - strokeIndex of the first stroke (when appending to earlier segments)
+     * @returns {Array} Array of segments with metadata
+     */
+    buildSegments: function(strokes, firstStrokeIndex = 0) {
+      const segments = [];
+      for (let si = 0; si < strokes.length; si++) {
+        const stroke = strokes[si];
+        const strokeStart = stroke[0];
+        const strokeEnd = stroke[stroke.length - 1];
+
+        for (let i = 0; i < stroke.length - 1; i++) {
+          segments.push({
+            p1: stroke[i],
+            p2: stroke[i + 1],
+            strokeIndex: firstStrokeIndex + si,
+            segmentIndex: i,
+            length: BallotGeometry.dist(stroke[i], stroke[i + 1]),
+            strokeStart: strokeStart,  // Store actual stroke endpoints
+            strokeEnd: strokeEnd
+          });
+        }
+      }
+      return segments;
+    },
 
-    for (let i = 0; i < segments.length; i++) {
-      for (let j = i + 1; j < segments.length; j++) {
-        const seg1 = segments[i];
+    /**
+     * Find intersection between two line segments
+     * With inked set, the centerlines may also meet just past a segment's end, as long as
+     * that point is still under both segments' ink (a near-miss whose ink overlaps)
+     * @param {Object} seg1 - First segment {p1, p2, strokeStart, strokeEnd}
+     * @param {Object} seg2 - Second segment {p1, p2, strokeStart, strokeEnd}
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {boolean} inked - Accept crossings of the inked area, not just the centerlines
+     * @returns {Object|null} Intersection {x, y, angle, seg1, seg2, inked} or null
+     */
+    findSegmentIntersection: function(seg1, seg2, config = BallotConfig, inked = false) {
+      const dx1 = seg1.p2.x - seg1.p1.x;
+      const dy1 = seg1.p2.y - seg1.p1.y;
+      const dx2 = seg2.p2.x - seg2.p1.x;
+      const dy2 = seg2.p2.y - seg2.p1.y;
+
+      const det = dx1 * dy2 - dy1 * dx2;
+      if (Math.abs(det) < 1e-10) return null;
+
+      const t = ((seg2.p1.x - seg1.p1.x) * dy2 - (seg2.p1.y - seg1.p1.y) * dx2) / det;
+      const u = ((seg2.p1.x - seg1.p1.x) * dy1 - (seg2.p1.y - seg1.p1.y) * dx1) / det;
+
+      // Distance past each segment's ends, in pixels, must stay within that segment's ink
+      const past1 = Math.max(0, -t, t - 1) * seg1.length;
+      const past2 = Math.max(0, -u, u - 1) * seg2.length;
+      const centerline = past1 === 0 && past2 === 0;
+      if (!centerline && (!inked ||
+          past1 > BallotInk.radiusAlong(seg1.p1, seg1.p2, t, config) ||
+          past2 > BallotInk.radiusAlong(seg2.p1, seg2.p2, u, config))) {
+        return null;
+      }
+
+      const ix = seg1.p1.x + t * dx1;
+      const iy = seg1.p1.y + t * dy1;
+
+      // Exclude endpoint touches - but only check ACTUAL stroke endpoints, not RDP intermediate points.
+      // An ink overlap past a stroke's end is that end's own ink reaching the other stroke, so it
+      // is not held to the ink-less distance from that end
+      const pt = {x: ix, y: iy};
+      const nearStrokeEndpoint = (seg, s) => {
+        const pastStrokeEnd = (s < 0 && seg.p1 === seg.strokeStart) || (s > 1 && seg.p2 === seg.strokeEnd);
+        return !pastStrokeEnd &&
+               (BallotGeometry.dist(pt, seg.strokeStart) < config.ENDPOINT_EPS_PX ||
+                BallotGeometry.dist(pt, seg.strokeEnd) < config.ENDPOINT_EPS_PX);
+      };
+      if (nearStrokeEndpoint(seg1, t) || nearStrokeEndpoint(seg2, u)) return null;
+
+      // Calculate crossing angle
+      const angle1 = Math.atan2(dy1, dx1);
+      const angle2 = Math.atan2(dy2, dx2);
+      // Headings differ by up to 360°; lines cross at that modulo 180
+      let crossAngle = (Math.abs(angle1 - angle2) * 180 / Math.PI) % 180;
+      if (crossAngle > 90) crossAngle = 180 - crossAngle;
+
+      if (crossAngle < config.MIN_CROSSING_ANGLE_DEG) return null;
+
+      // Return WITH segment references
+      return {
+        x: ix,
+        y: iy,
+        angle: crossAngle,
+        seg1: seg1,
+        seg2: seg2,
+        inked: !centerline
+      };
+    },
+
+    /**
+     * Find all intersections between segments (within vote box)
+     * Strokes whose inks overlap without their centerlines crossing also count, once per spot
+     * @param {Array} segments - Array of segments from buildSegments()
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Object} index - Spatial index over segments (default: compare every pair)
+     * @param {number} firstNew - Only pairs involving segments[firstNew] or later (default: all pairs)
+     * @returns {Array} Array of intersections, ordered by segment pair
+     */
+    findAllIntersections: function(segments, config = BallotConfig, index = null, firstNew = 0) {
+      const found = [];
+      const reach = BallotInk.maxRadius(config);
+
+      // Pair each segment with the earlier ones, so new segments only meet what came before
+      for (let j = firstNew; j < segments.length; j++) {
         const seg2 = segments[j];
+        // Crossing inks share a grid cell; candidates come back in ascending order
+        const candidates = index ? BallotSpatialIndex.queryRect(index, {
+          minX: Math.min(seg2.p1.x, seg2.p2.x) - reach,
+          minY: Math.min(seg2.p1.y, seg2.p2.y) - reach,
+          maxX: Math.max(seg2.p1.x, seg2.p2.x) + reach,
+          maxY: Math.max(seg2.p1.y, seg2.p2.y) + reach
+        }) : null;
+        const count = candidates ? candidates.length : j;
+
+        for (let c = 0; c < count; c++) {
+          const i = candidates ? candidates[c] : c;
+          if (i >= j) break;
+          const seg1 = segments[i];
 
-        // Different strokes, or same stroke but non-adjacent
-        if (seg1.strokeIndex !== seg2.strokeIndex ||
-            Math.abs(seg1.segmentIndex - seg2.segmentIndex) > 1) {
+          // Different strokes, or same stroke but non-adjacent
+          if (seg1.strokeIndex !== seg2.strokeIndex ||
+              Math.abs(seg1.segmentIndex - seg2.segmentIndex) > 1) {
 
-          const inter = this.findSegmentIntersection(seg1, seg2);
-          if (inter && BallotGeometry.pointInRect(inter, BallotConfig.VOTE_BOX)) {
-            intersections.push(inter);
+            // Ink-only overlaps between different strokes (a stroke's own hairpins are not crossings)
+            const inter = this.findSegmentIntersection(seg1, seg2, config,
+                                                       seg1.strokeIndex !== seg2.strokeIndex);
+            if (inter && BallotGeometry.pointInRect(inter, config.VOTE_BOX)) {
+              found.push({ i, j, inter });
+            }
           }
         }
       }
-    }
 
-    return intersections;
-  }
-};
+      // Report in (first segment, second segment) order
+      found.sort((a, b) => (a.i - b.i) || (a.j - b.j));
+
+      // An ink overlap next to a centerline crossing of the same strokes is the same
+      // crossing seen from a neighboring segment; keep one per spot
+      const pairKey = (inter) => Math.min(inter.seg1.strokeIndex, inter.seg2.strokeIndex) + ':' +
+                                 Math.max(inter.seg1.strokeIndex, inter.seg2.strokeIndex);
+      const kept = new Map();
+      for (const f of found) {
+        if (f.inter.inked) continue;
+        const key = pairKey(f.inter);
+        if (!kept.has(key)) kept.set(key, []);
+        kept.get(key).push(f.inter);
+      }
+
+      const intersections = [];
+      for (const f of found) {
+        if (f.inter.inked) {
+          const key = pairKey(f.inter);
+          const near = (kept.get(key) || []).some(other => BallotGeometry.dist(other, f.inter) <= 2 * reach);
+          if (near) continue;
+          if (!kept.has(key)) kept.set(key, []);
+          kept.get(key).push(f.inter);
+        }
+        intersections.push(f.inter);
+      }
+
+      return intersections;
+    },
+
+    /**
+     * Find virtual intersections of near-miss crosses
+     * Each stroke end is extended by up to CROSS_GAP_MAX_PX (and followed back ENDPOINT_EPS_PX,
+     * since touches that close to an end are not counted as crossings); where it meets another
+     * stroke, or another stroke's extended end, the strokes would have crossed but for the gap
+     * @param {Array} segments - Array of segments from buildSegments()
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Object} index - Spatial index over segments (default: scan every segment)
+     * @returns {Array} One gapped crossing per stroke pair, smallest gap first:
+     *                  {x, y, angle, seg1, seg2, gap, virtual: true}
+     */
+    findGapIntersections: function(segments, config = BallotConfig, index = null) {
+      if (config.CROSS_GAP_MAX_PX <= 0) return [];
+
+      // Stroke ends as short segments pointing out of the stroke: param s in [-ENDPOINT_EPS_PX, CROSS_GAP_MAX_PX]
+      const back = config.ENDPOINT_EPS_PX;
+      const reach = back + config.CROSS_GAP_MAX_PX;
+      const ends = [];
+      segments.forEach((seg, k) => {
+        if (seg.length === 0) return;
+        const last = k === segments.length - 1 || segments[k + 1].strokeIndex !== seg.strokeIndex;
+        const tips = [];
+        if (seg.segmentIndex === 0) tips.push({ from: seg.p2, tip: seg.p1 });
+        if (last) tips.push({ from: seg.p1, tip: seg.p2 });
+
+        for (const { from, tip } of tips) {
+          const ux = (tip.x - from.x) / seg.length;
+          const uy = (tip.y - from.y) / seg.length;
+          ends.push({
+            seg: seg,
+            ux: ux,
+            uy: uy,
+            a: { x: tip.x - ux * back, y: tip.y - uy * back },
+            b: { x: tip.x + ux * config.CROSS_GAP_MAX_PX, y: tip.y + uy * config.CROSS_GAP_MAX_PX }
+          });
+        }
+      });
+
+      const best = new Map();
+      const consider = (end, other, hit, gap, odx, ody) => {
+        const angle = acuteAngle(end.ux, end.uy, odx, ody);
+        if (gap > config.CROSS_GAP_MAX_PX || angle < config.MIN_CROSSING_ANGLE_DEG) return;
+        if (!BallotGeometry.pointInRect(hit, config.VOTE_BOX)) return;
+
+        const s1 = Math.min(end.seg.strokeIndex, other.strokeIndex);
+        const s2 = Math.max(end.seg.strokeIndex, other.strokeIndex);
+        const key = s1 + ':' + s2;
+        if (!best.has(key) || gap < best.get(key).gap) {
+          best.set(key, { x: hit.x, y: hit.y, angle, seg1: end.seg, seg2: other, gap, virtual: true, pair: [s1, s2] });
+        }
+      };
+
+      for (let e = 0; e < ends.length; e++) {
+        const end = ends[e];
+
+        // Extended end against the other strokes' ink (crossing ink shares a grid cell)
+        const candidates = index ? BallotSpatialIndex.queryRect(index, {
+          minX: Math.min(end.a.x, end.b.x),
+          minY: Math.min(end.a.y, end.b.y),
+          maxX: Math.max(end.a.x, end.b.x),
+          maxY: Math.max(end.a.y, end.b.y)
+        }).map(k => segments[k]) : segments;
+        for (const seg of candidates) {
+          if (seg.strokeIndex === end.seg.strokeIndex) continue;
+          const hit = crossParams(end.a, end.b, seg.p1, seg.p2);
+          if (hit) {
+            consider(end, seg, hit, Math.max(0, hit.t * reach - back), seg.p2.x - seg.p1.x, seg.p2.y - seg.p1.y);
+          }
+        }
+
+        // Extended end against another stroke's extended end
+        for (let f = e + 1; f < ends.length; f++) {
+          const other = ends[f];
+          if (other.seg.strokeIndex === end.seg.strokeIndex) continue;
+          const hit = crossParams(end.a, end.b, other.a, other.b);
+          if (hit) {
+            const gap = Math.max(0, hit.t * reach - back) + Math.max(0, hit.u * reach - back);
+            consider(end, other.seg, hit, gap, other.ux, other.uy);
+          }
+        }
+      }
+
+      return [...best.values()]
+        .sort((a, b) => (a.gap - b.gap) || (a.pair[0] - b.pair[0]) || (a.pair[1] - b.pair[1]))
+        .map(({ pair, ...gapped }) => gapped);
+    }
+  };
+});
@@ -0,0 +1,209 @@
+/**
+ * Ballot Layout
+ * Multi-box ballot layouts and assignment of strokes to vote boxes
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'));
+  } else {
+    root.BallotLayout = factory(root.BallotConfig, root.BallotGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry) {
+  return {
+    // Box types
+    CANDIDATE: 'candidate',
+    NO_VOTE: 'no_vote',  // "ไม่ประสงค์ลงคะแนน"
+
+    /**
+     * Check layout completeness, throwing on the first problem found
+     * @param {Object} layout - Layout {boxes: [{id, number, type, x, y, width, height}]}
+     * @returns {Object} The same layout
+     */
+    validateLayout: function(layout) {
+      if (!layout || !Array.isArray(layout.boxes) || layout.boxes.length === 0) {
+        throw new Error('Invalid layout: boxes array not found');
+      }
+
+      const ids = new Set();
+      let noVoteBoxes = 0;
+
+      for (const box of layout.boxes) {
+        if (box.id === undefined || box.id === null) {
+          throw new Error('Invalid layout: box without id');
+        }
+        if (ids.has(box.id)) {
+          throw new Error('Invalid layout: duplicate box id ' + box.id);
+        }
+        ids.add(box.id);
+
+        for (const key of ['x', 'y', 'width', 'height']) {
+          if (typeof box[key] !== 'number' || !isFinite(box[key])) {
+            throw new Error(`Invalid layout: box ${box.id} has no numeric ${key}`);
+          }
+        }
+
+        const type = box.type || this.CANDIDATE;
+        if (type === this.NO_VOTE) {
+          noVoteBoxes++;
+        } else if (type !== this.CANDIDATE) {
+          throw new Error(`Invalid layout: box ${box.id} has unknown type ${type}`);
+        } else if (typeof box.number !== 'number') {
+          throw new Error(`Invalid layout: candidate box ${box.id} has no number`);
+        }
+      }
+
+      if (noVoteBoxes > 1) {
+        throw new Error('Invalid layout: more than one no-vote box');
+      }
+
+      return layout;
+    },
+
+    /**
+     * Bounding rectangle of all boxes in a layout
+     * @param {Object} layout - Validated layout
+     * @returns {Object} Rectangle {x, y, width, height}
+     */
+    bounds: function(layout) {
+      const minX = Math.min(...layout.boxes.map(b => b.x));
+      const minY = Math.min(...layout.boxes.map(b => b.y));
+      const maxX = Math.max(...layout.boxes.map(b => b.x + b.width));
+      const maxY = Math.max(...layout.boxes.map(b => b.y + b.height));
+      return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    },
+
+    /**
+     * Position of a point relative to a box
+     * @param {Object} point - Point {x, y}
+     * @param {Object} box - Rectangle {x, y, width, height}
+     * @returns {Object} {x, y: normalized (0 at the left/top edge, 1 at the right/bottom edge),
+     *                   edges: {left, top, right, bottom} distances in px, edgeDistance: to the nearest edge
+     *                   (distances are negative outside the box)}
+     */
+    positionInBox: function(point, box) {
+      const edges = {
+        left: point.x - box.x,
+        top: point.y - box.y,
+        right: box.x + box.width - point.x,
+        bottom: box.y + box.height - point.y
+      };
+      return {
+        x: box.width > 0 ? edges.left / box.width : 0,
+        y: box.height > 0 ? edges.top / box.height : 0,
+        edges: edges,
+        edgeDistance: Math.min(edges.left, edges.top, edges.right, edges.bottom)
+      };
+    },
+
+    /**
+     * Share of a segment's length lying inside a box (Liang-Barsky clipping)
+     * @param {Object} p1 - Segment start {x, y}
+     * @param {Object} p2 - Segment end {x, y}
+     * @param {Object} box - Rectangle {x, y, width, height}
+     * @returns {number} Fraction in [0, 1] (1 for a zero-length segment inside the box)
+     */
+    fractionInBox: function(p1, p2, box) {
+      const dx = p2.x - p1.x;
+      const dy = p2.y - p1.y;
+      let t0 = 0;
+      let t1 = 1;
+      const clips = [
+        [-dx, p1.x - box.x],
+        [dx, box.x + box.width - p1.x],
+        [-dy, p1.y - box.y],
+        [dy, box.y + box.height - p1.y]
+      ];
+      for (const [p, q] of clips) {
+        if (p === 0) {
+          if (q < 0) return 0;
+        } else if (p < 0) {
+          t0 = Math.max(t0, q / p);
+        } else {
+          t1 = Math.min(t1, q / p);
+        }
+      }
+      return Math.max(0, t1 - t0);
+    },
+
+    /**
+     * Measure stroke ink length lying inside a box
+     * @param {Array} stroke - Array of points {x, y}
+     * @param {Object} box - Rectangle {x, y, width, height}
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {number} Ink length inside the box in pixels
+     */
+    inkLengthInBox: function(stroke, box, config = BallotConfig) {
+      let inside = 0;
+
+      for (let i = 0; i < stroke.length - 1; i++) {
+        const p1 = stroke[i];
+        const p2 = stroke[i + 1];
+        const d = BallotGeometry.dist(p1, p2);
+        const steps = Math.max(1, Math.ceil(d / config.RESAMPLE_STEP_PX));
+
+        for (let j = 0; j < steps; j++) {
+          const t = (j + 0.5) / steps;
+          const pt = {
+            x: p1.x + t * (p2.x - p1.x),
+            y: p1.y + t * (p2.y - p1.y)
+          };
+          if (BallotGeometry.pointInRect(pt, box)) {
+            inside += d / steps;
+          }
+        }
+      }
+
+      return inside;
+    },
+
+    /**
+     * Assign each stroke to the box holding most of its ink
+     * A stroke whose crossings with other strokes all lie in one box goes to that box instead,
+     * so a cross drawn over a border belongs where its center is
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
+     * @param {Object} layout - Validated layout
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Array} crossings - Crossings between strokes [{x, y, strokes: [i, j]}] (default: none)
+     * @returns {Object} {byBox: Map(boxId -> strokes), unassigned: strokes}
+     */
+    assignStrokes: function(strokes, layout, config = BallotConfig, crossings = []) {
+      const byBox = new Map(layout.boxes.map(box => [box.id, []]));
+      const unassigned = [];
+
+      // Boxes each stroke's crossings lie in (null for a crossing outside every box)
+      const crossedIn = strokes.map(() => new Set());
+      for (const crossing of crossings) {
+        const box = layout.boxes.find(b => BallotGeometry.pointInRect(crossing, b)) || null;
+        for (const i of crossing.strokes) crossedIn[i].add(box);
+      }
+
+      strokes.forEach((stroke, i) => {
+        const [centerBox] = crossedIn[i];
+        if (crossedIn[i].size === 1 && centerBox) {
+          byBox.get(centerBox.id).push(stroke);
+          return;
+        }
+
+        let bestBox = null;
+        let bestLength = 0;
+
+        for (const box of layout.boxes) {
+          const length = this.inkLengthInBox(stroke, box, config);
+          if (length > bestLength) {
+            bestLength = length;
+            bestBox = box;
+          }
+        }
+
+        if (bestBox) {
+          byBox.get(bestBox.id).push(stroke);
+        } else {
+          unassigned.push(stroke);
+        }
+      });
+
+      return { byBox, unassigned };
+    }
+  };
+});
@@ -3,90 +3,197 @@
  * Algorithms for stroke simplification and resampling
  */
 
-window.BallotPreprocessing = {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry'));
+  } else {
+    root.BallotPreprocessing = factory(root.BallotGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotGeometry) {
+  // Sample spacing assumed where timestamps are missing or out of order (60 Hz input)
+  const FALLBACK_DT_MS = 1000 / 60;
+
   /**
-   * Resample stroke at uniform intervals
-   * @param {Array} stroke - Array of points {x, y}
-   * @param {number} step - Step size in pixels
-   * @returns {Array} Resampled stroke
+   * Seconds between two points, from their t timestamps (ms)
    */
-  resampleStroke: function(stroke, step) {
-    if (stroke.length < 2) return stroke;
-
-    const resampled = [stroke[0]];
-    let accumulated = 0;
-
-    for (let i = 1; i < stroke.length; i++) {
-      const d = BallotGeometry.dist(stroke[i - 1], stroke[i]);
-      accumulated += d;
-
-      while (accumulated >= step) {
-        const t = (accumulated - step) / d;
-        const pt = {
-          x: stroke[i].x - t * (stroke[i].x - stroke[i - 1].x),
-          y: stroke[i].y - t * (stroke[i].y - stroke[i - 1].y)
-        };
-        resampled.push(pt);
-        accumulated -= step;
-      }
-    }
-
-    if (BallotGeometry.dist(resampled[resampled.length - 1], stroke[stroke.length - 1]) > 0.5) {
-      resampled.push(stroke[stroke.length - 1]);
-    }
+  function secondsBetween(p1, p2) {
+    const dt = (typeof p1.t === 'number' && typeof p2.t === 'number') ? p2.t - p1.t : NaN;
+    return (dt > 0 ? dt : FALLBACK_DT_MS) / 1000;
+  }
 
-    return resampled;
-  },
+  /**
+   * Smoothing factor of a first-order low-pass filter
+   */
+  function lowPassAlpha(cutoffHz, dt) {
+    const tau = 1 / (2 * Math.PI * cutoffHz);
+    return 1 / (1 + tau / dt);
+  }
 
   /**
-   * Simplify stroke using Ramer-Douglas-Peucker algorithm
-   * @param {Array} points - Array of points {x, y}
-   * @param {number} epsilon - Simplification tolerance in pixels
-   * @returns {Array} Simplified stroke
+   * One causal One-Euro pass over the points, in the order given
    */
-  simplifyRDP: function(points, epsilon) {
-    if (points.length < 3) return points;
-
-    let maxDist = 0;
-    let maxIndex = 0;
-    const first = points[0];
-    const last = points[points.length - 1];
-
-    for (let i = 1; i < points.length - 1; i++) {
-      const d = this.pointToSegmentDist(points[i], first, last);
-      if (d > maxDist) {
-        maxDist = d;
-        maxIndex = i;
-      }
-    }
+  function oneEuroPass(points, minCutoffHz, beta, derivativeCutoffHz) {
+    const out = [{ x: points[0].x, y: points[0].y }];
+    let speed = 0;
+    for (let i = 1; i < points.length; i++) {
+      const dt = secondsBetween(points[i - 1], points[i]);
+      const prev = out[i - 1];
+      const rawSpeed = BallotGeometry.dist(prev, points[i]) / dt;
+      speed += lowPassAlpha(derivativeCutoffHz, dt) * (rawSpeed - speed);
 
-    if (maxDist > epsilon) {
-      const left = this.simplifyRDP(points.slice(0, maxIndex + 1), epsilon);
-      const right = this.simplifyRDP(points.slice(maxIndex), epsilon);
-      return left.slice(0, -1).concat(right);
-    } else {
-      return [first, last];
+      const alpha = lowPassAlpha(minCutoffHz + beta * speed, dt);
+      out.push({
+        x: prev.x + alpha * (points[i].x - prev.x),
+        y: prev.y + alpha * (points[i].y - prev.y)
+      });
     }
-  },
+    return out;
+  }
 
-  /**
-   * Calculate distance from point to finite line segment
-   * @param {Object} pt - Point {x, y}
-   * @param {Object} p1 - Segment start {x, y}
-   * @param {Object} p2 - Segment end {x, y}
-   * @returns {number} Distance in pixels
-   */
-  pointToSegmentDist: function(pt, p1, p2) {
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const lenSq = dx * dx + dy * dy;
+  return {
+    /**
+     * Resample stroke at uniform intervals
+     * @param {Array} stroke - Array of points {x, y, pressure?}
+     * @param {number} step - Step size in pixels
+     * @returns {Array} Resampled stroke (pressure interpolated when the input has it)
+     */
+    resampleStroke: function(stroke, step) {
+      if (stroke.length < 2) return stroke;
 
-    if (lenSq === 0) return BallotGeometry.dist(pt, p1);
+      const resampled = [stroke[0]];
+      let accumulated = 0;
 
-    let t = ((pt.x - p1.x) * dx + (pt.y - p1.y) * dy) / lenSq;
-    t = Math.max(0, Math.min(1, t));
+      for (let i = 1; i < stroke.length; i++) {
+        const d = BallotGeometry.dist(stroke[i - 1], stroke[i]);
+        accumulated += d;
 
-    const proj = { x: p1.x + t * dx, y: p1.y + t * dy };
-    return BallotGeometry.dist(pt, proj);
-  }
-};
+        while (accumulated >= step) {
+          const t = (accumulated - step) / d;
+          const pt = {
+            x: stroke[i].x - t * (stroke[i].x - stroke[i - 1].x),
+            y: stroke[i].y - t * (stroke[i].y - stroke[i - 1].y)
+          };
+          if (stroke[i].pressure !== undefined && stroke[i - 1].pressure !== undefined) {
+            pt.pressure = stroke[i].pressure - t * (stroke[i].pressure - stroke[i - 1].pressure);
+          }
+          resampled.push(pt);
+          accumulated -= step;
+        }
+      }
+
+      if (BallotGeometry.dist(resampled[resampled.length - 1], stroke[stroke.length - 1]) > 0.5) {
+        resampled.push(stroke[stroke.length - 1]);
+      }
+
+      return resampled;
+    },
+
+    /**
+     * Smooth a stroke with the One-Euro filter (speed-adaptive low-pass, using t timestamps)
+     * Runs forward and backward and averages the two, so the smoothed stroke does not lag
+     * behind the pen and keeps both of its ends
+     * @param {Array} stroke - Array of points {x, y, t?, pressure?}
+     * @param {number} minCutoffHz - Cutoff frequency at rest (lower smooths more)
+     * @param {number} beta - Cutoff increase per px/s of pen speed
+     * @param {number} derivativeCutoffHz - Cutoff frequency for the speed estimate
+     * @returns {Array} Smoothed stroke (t and pressure kept)
+     */
+    smoothOneEuro: function(stroke, minCutoffHz, beta, derivativeCutoffHz) {
+      if (stroke.length < 3 || !(minCutoffHz > 0) || !(derivativeCutoffHz > 0)) return stroke;
+
+      const forward = oneEuroPass(stroke, minCutoffHz, beta, derivativeCutoffHz);
+      const backward = oneEuroPass(stroke.slice().reverse(), minCutoffHz, beta, derivativeCutoffHz).reverse();
+      return stroke.map((p, i) => Object.assign({}, p, {
+        x: (forward[i].x + backward[i].x) / 2,
+        y: (forward[i].y + backward[i].y) / 2
+      }));
+    },
+
+    /**
+     * Smooth a stroke with a centered moving average over a time window (using t timestamps)
+     * The stroke's end points are kept in place
+     * @param {Array} stroke - Array of points {x, y, t?, pressure?}
+     * @param {number} windowMs - Window width in milliseconds
+     * @returns {Array} Smoothed stroke (t and pressure kept)
+     */
+    smoothMovingAverage: function(stroke, windowMs) {
+      if (stroke.length < 3 || !(windowMs > 0)) return stroke;
+
+      // Elapsed time at each point, tolerating missing or repeated timestamps
+      const time = [0];
+      for (let i = 1; i < stroke.length; i++) time.push(time[i - 1] + secondsBetween(stroke[i - 1], stroke[i]) * 1000);
+
+      const half = windowMs / 2;
+      let lo = 0;
+      let hi = 0;
+      let sumX = 0;
+      let sumY = 0;
+      return stroke.map((p, i) => {
+        if (i === 0 || i === stroke.length - 1) return p;
+        while (hi < stroke.length && time[hi] <= time[i] + half) {
+          sumX += stroke[hi].x;
+          sumY += stroke[hi].y;
+          hi++;
+        }
+        while (time[lo] < time[i] - half) {
+          sumX -= stroke[lo].x;
+          sumY -= stroke[lo].y;
+          lo++;
+        }
+        return Object.assign({}, p, { x: sumX / (hi - lo), y: sumY / (hi - lo) });
+      });
+    },
+
+    /**
+     * Simplify stroke using Ramer-Douglas-Peucker algorithm
+     * @param {Array} points - Array of points {x, y}
+     * @param {number} epsilon - Simplification tolerance in pixels
+     * @returns {Array} Simplified stroke
+     */
+    simplifyRDP: function(points, epsilon) {
+      if (points.length < 3) return points;
+
+      let maxDist = 0;
+      let maxIndex = 0;
+      const first = points[0];
+      const last = points[points.length - 1];
+
+      for (let i = 1; i < points.length - 1; i++) {
+        const d = this.pointToSegmentDist(points[i], first, last);
+        if (d > maxDist) {
+          maxDist = d;
+          maxIndex = i;
+        }
+      }
+
+      if (maxDist > epsilon) {
+        const left = this.simplifyRDP(points.slice(0, maxIndex + 1), epsilon);
+        const right = this.simplifyRDP(points.slice(maxIndex), epsilon);
+        return left.slice(0, -1).concat(right);
+      } else {
+        return [first, last];
+      }
+    },
+
+    /**
+     * Calculate distance from point to finite line segment
+     * @param {Object} pt - Point {x, y}
+     * @param {Object} p1 - Segment start {x, y}
+     * @param {Object} p2 - Segment end {x, y}
+     * @returns {number} Distance in pixels
+     */
+    pointToSegmentDist: function(pt, p1, p2) {
+      const dx = p2.x - p1.x;
+      const dy = p2.y - p1.y;
+      const lenSq = dx * dx + dy * dy;
+
+      if (lenSq === 0) return BallotGeometry.dist(pt, p1);
+
+      let t = ((pt.x - p1.x) * dx + (pt.y - p1.y) * dy) / lenSq;
+      t = Math.max(0, Math.min(1, t));
+
+      const proj = { x: p1.x + t * dx, y: p1.y + t * dy };
+      return BallotGeometry.dist(pt, proj);
+    }
+  };
+});
@@ -0,0 +1,212 @@
+/**
+ * Rule Profiles
+ * Named, versioned threshold sets resolved against BallotConfig defaults
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'));
+  } else {
+    root.BallotProfiles = factory(root.BallotConfig);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig) {
+  return {
+    DEFAULT_PROFILE: 'general-2023',
+
+    // Values each policy and mode setting accepts ('tolerance': invalid only beyond BOX_TOLERANCE_PX)
+    POLICY_SETTINGS: {
+      ARM_BALANCE_SCOPE: ['extra-strokes', 'all'],
+      ARM_MEASURE_MODE: ['corridor', 'path'],
+      CENTER_POSITION_POLICY: ['valid', 'invalid', 'review'],
+      CHECK_MARK_POLICY: ['valid', 'invalid', 'review'],
+      CROSS_GAP_POLICY: ['valid', 'invalid', 'review'],
+      OUTSIDE_GRAZE_POLICY: ['valid', 'invalid', 'review', 'tolerance'],
+      OUTSIDE_TIP_POLICY: ['valid', 'invalid', 'review', 'tolerance'],
+      OUTSIDE_SUBSTANTIAL_POLICY: ['valid', 'invalid', 'review', 'tolerance'],
+      SMOOTHING_FILTER: ['none', 'one-euro', 'moving-average'],
+      STRAY_INK_POLICY: ['ignore', 'count', 'review', 'invalid']
+    },
+
+    // Profile definitions: overrides are applied on top of the extended profile
+    // (or BallotConfig when a profile extends nothing)
+    PROFILES: {
+      'general-2023': {
+        id: 'general-2023',
+        name: '2023 general election',
+        version: '2023.1',
+        overrides: {}
+      },
+      'local-election': {
+        id: 'local-election',
+        name: 'Local election',
+        version: '2024.1',
+        extends: 'general-2023',
+        overrides: {
+          BOX_TOLERANCE_PX: 10,  // Smaller printed boxes, more frequent corner overshoots
+          MIN_EXPLAINED_INK_RATIO: 0.60
+        }
+      },
+      'strict-audit': {
+        id: 'strict-audit',
+        name: 'Strict audit',
+        version: '2024.1',
+        extends: 'general-2023',
+        overrides: {
+          BOX_TOLERANCE_PX: 4,
+          MIN_ARM_EXTENSION_PX: 22,
+          MIN_EXPLAINED_INK_RATIO: 0.75,
+          MIN_EXPLAINED_INK_RATIO_SINGLE: 0.60,
+          MIN_EXPLAINED_INK_RATIO_DOUBLE: 0.70,
+          STRAY_INK_POLICY: 'review',  // Specks next to a mark are shown to a person
+          CENTER_MIN_EDGE_DIST_PX: '10%',  // So is a cross squeezed into a corner of the box
+          CENTER_POSITION_POLICY: 'review',
+          ENABLE_NEEDS_REVIEW: true
+        }
+      }
+    },
+
+    /**
+     * List problems that make a config incomplete or malformed
+     * @param {Object} config - Full config to check against BallotConfig keys
+     * @returns {Array} Array of problem descriptions (empty when complete)
+     */
+    checkConfig: function(config) {
+      const problems = [];
+
+      for (const key of Object.keys(BallotConfig)) {
+        const expected = typeof BallotConfig[key];
+        if (!(key in config)) {
+          problems.push('missing ' + key);
+        } else if (this.isLengthSetting(key) && typeof config[key] === 'string') {
+          if (!this.parseLength(config[key])) {
+            problems.push(`${key} must be a number of pixels or a length like "5%" or "4mm"`);
+          }
+        } else if (typeof config[key] !== expected) {
+          problems.push(`${key} must be a ${expected}`);
+        } else if (expected === 'number' && !(isFinite(config[key]) && config[key] >= 0)) {
+          problems.push(`${key} must be a non-negative number`);
+        }
+      }
+
+      for (const key of Object.keys(config)) {
+        if (!(key in BallotConfig)) {
+          problems.push('unknown setting ' + key);
+        }
+      }
+
+      const box = config.VOTE_BOX;
+      if (box && typeof box === 'object') {
+        for (const key of ['x', 'y', 'width', 'height']) {
+          if (typeof box[key] !== 'number' || !isFinite(box[key])) {
+            problems.push('VOTE_BOX.' + key + ' must be a number');
+          }
+        }
+      }
+
+      for (const [key, allowed] of Object.entries(this.POLICY_SETTINGS)) {
+        if (typeof config[key] === 'string' && !allowed.includes(config[key])) {
+          problems.push(key + ' must be one of ' + allowed.join(', '));
+        }
+      }
+
+      return problems;
+    },
+
+    /**
+     * Whether a setting is a length (a pixel setting, which profiles may give in other units)
+     * @param {string} key - Config key
+     * @returns {boolean} True for numeric settings ending in _PX
+     */
+    isLengthSetting: function(key) {
+      return key.endsWith('_PX') && typeof BallotConfig[key] === 'number';
+    },
+
+    /**
+     * Parse a length given in box-relative or physical units
+     * @param {string} value - '<n>%' of the vote box's shorter side, '<n>mm', or '<n>px'
+     * @returns {Object|null} {value, unit: '%', 'mm' or 'px'}, or null if malformed
+     */
+    parseLength: function(value) {
+      const match = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*(%|mm|px)\s*$/.exec(value);
+      return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+    },
+
+    /**
+     * Convert length settings given in units to logical pixels for one vote box
+     * '%' is relative to the box's shorter side; 'mm' uses DEVICE_DPI (logical pixels per inch)
+     * @param {Object} config - Complete config, possibly with unit lengths
+     * @returns {Object} Config with every length in pixels (the same object if none had units)
+     */
+    scaleLengths: function(config) {
+      const keys = Object.keys(config).filter(key => this.isLengthSetting(key) && typeof config[key] === 'string');
+      if (keys.length === 0) return config;
+
+      const boxSide = Math.min(config.VOTE_BOX.width, config.VOTE_BOX.height);
+      const pxPerMm = config.DEVICE_DPI / 25.4;
+      const scaled = Object.assign({}, config);
+      for (const key of keys) {
+        const length = this.parseLength(config[key]);
+        if (length.unit === '%') scaled[key] = length.value / 100 * boxSide;
+        else if (length.unit === 'mm') scaled[key] = length.value * pxPerMm;
+        else scaled[key] = length.value;
+      }
+      return scaled;
+    },
+
+    /**
+     * Resolve a profile into a complete, validated config
+     * @param {string|Object} profile - Profile id, definition {id, name, version, extends, overrides},
+     *                                  or an already resolved profile
+     * @returns {Object} Resolved profile {id, name, version, config}
+     */
+    resolve: function(profile = this.DEFAULT_PROFILE) {
+      let definition = profile;
+      if (typeof profile === 'string') {
+        definition = this.PROFILES[profile];
+        if (!definition) {
+          throw new Error('Unknown rule profile: ' + profile);
+        }
+      }
+
+      if (!definition || !definition.id) {
+        throw new Error('Invalid rule profile: id is required');
+      }
+
+      let config;
+      if (definition.config) {
+        // Already resolved - validate only
+        config = definition.config;
+      } else {
+        const base = definition.extends
+          ? this.resolve(definition.extends).config
+          : BallotConfig;
+        config = Object.assign({}, base, definition.overrides || {});
+      }
+
+      const problems = this.checkConfig(config);
+      if (problems.length > 0) {
+        throw new Error(`Invalid rule profile ${definition.id}: ${problems.join(', ')}`);
+      }
+
+      return {
+        id: definition.id,
+        name: definition.name || definition.id,
+        version: definition.version || null,
+        config: config
+      };
+    },
+
+    /**
+     * Describe a resolved profile for recording in results
+     * @param {Object} resolved - Resolved profile from resolve()
+     * @returns {Object} {id, name, version}
+     */
+    describe: function(resolved) {
+      return {
+        id: resolved.id,
+        name: resolved.name,
+        version: resolved.version
+      };
+    }
+  };
+});
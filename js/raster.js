@@ -0,0 +1,589 @@
+/**
+ * Raster Ingestion
+ * Threshold, skeletonize and trace scanned ink into strokes for validateMark
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./preprocessing'));
+  } else {
+    root.BallotRaster = factory(root.BallotConfig, root.BallotGeometry, root.BallotPreprocessing);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotPreprocessing) {
+  // 8-neighborhood in ring order starting north: P2..P9 of Zhang-Suen
+  const RING = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+  /**
+   * Read the 8-neighborhood ring of a pixel (outside the image counts as background)
+   */
+  function ringValues(mask, x, y) {
+    const { width, height, data } = mask;
+    return RING.map(([dx, dy]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      return nx >= 0 && ny >= 0 && nx < width && ny < height ? data[ny * width + nx] : 0;
+    });
+  }
+
+  /**
+   * Count background-to-ink transitions around the ring (the crossing number)
+   */
+  function crossingNumber(ring) {
+    let transitions = 0;
+    for (let i = 0; i < 8; i++) {
+      if (!ring[i] && ring[(i + 1) % 8]) transitions++;
+    }
+    return transitions;
+  }
+
+  /**
+   * Count 8-connected groups among the ring's ink pixels (ignoring the center);
+   * orthogonal neighbors touch diagonally, so N and E join even without NE
+   */
+  function ringComponents(ring) {
+    const group = ring.map((v, i) => v ? i : -1);
+    const find = (i) => group[i] === i ? i : (group[i] = find(group[i]));
+    for (let i = 0; i < 8; i++) {
+      if (ring[i] && ring[(i + 1) % 8]) group[find(i)] = find((i + 1) % 8);
+      if (i % 2 === 0 && ring[i] && ring[(i + 2) % 8]) group[find(i)] = find((i + 2) % 8);
+    }
+    return group.filter((g, i) => g >= 0 && find(i) === i).length;
+  }
+
+  /**
+   * Angle between two direction vectors in degrees [0, 180]
+   */
+  function angleBetween(a, b) {
+    const dot = (a.x * b.x + a.y * b.y) / (Math.hypot(a.x, a.y) * Math.hypot(b.x, b.y) || 1);
+    return Math.acos(Math.max(-1, Math.min(1, dot))) * 180 / Math.PI;
+  }
+
+  return {
+    /**
+     * Pick a global ink threshold with Otsu's method
+     * @param {Object} image - Grayscale image {width, height, data}
+     * @returns {number} Gray level; pixels darker than it are ink
+     */
+    otsuLevel: function(image) {
+      const histogram = new Array(256).fill(0);
+      for (const v of image.data) histogram[v]++;
+
+      const total = image.data.length;
+      let sumAll = 0;
+      for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+      let sumBack = 0;
+      let weightBack = 0;
+      let bestVariance = 0;
+      let level = 0;
+
+      for (let t = 0; t < 256; t++) {
+        weightBack += histogram[t];
+        if (weightBack === 0) continue;
+        const weightFore = total - weightBack;
+        if (weightFore === 0) break;
+
+        sumBack += t * histogram[t];
+        const meanBack = sumBack / weightBack;
+        const meanFore = (sumAll - sumBack) / weightFore;
+        const variance = weightBack * weightFore * (meanBack - meanFore) * (meanBack - meanFore);
+        if (variance > bestVariance) {
+          bestVariance = variance;
+          level = t + 1;
+        }
+      }
+
+      return level;
+    },
+
+    /**
+     * Binarize a grayscale image
+     * @param {Object} image - Grayscale image {width, height, data}
+     * @param {number} level - Gray level; darker pixels are ink (default: Otsu)
+     * @param {number} ignoreBorderPx - Clear ink this close to the image edge (printed box frame)
+     * @returns {Object} Mask {width, height, data: Uint8Array (1 = ink)}
+     */
+    threshold: function(image, level = this.otsuLevel(image), ignoreBorderPx = 0) {
+      const { width, height } = image;
+      const data = new Uint8Array(width * height);
+
+      for (let y = ignoreBorderPx; y < height - ignoreBorderPx; y++) {
+        for (let x = ignoreBorderPx; x < width - ignoreBorderPx; x++) {
+          const i = y * width + x;
+          data[i] = image.data[i] < level ? 1 : 0;
+        }
+      }
+
+      return { width, height, data };
+    },
+
+    /**
+     * Thin a mask to a one-pixel skeleton (Zhang-Suen)
+     * @param {Object} mask - Mask {width, height, data}
+     * @returns {Object} Skeleton mask {width, height, data}
+     */
+    skeletonize: function(mask) {
+      const skeleton = { width: mask.width, height: mask.height, data: Uint8Array.from(mask.data) };
+      const { width, height, data } = skeleton;
+      let changed = true;
+
+      while (changed) {
+        changed = false;
+
+        for (let step = 0; step < 2; step++) {
+          const remove = [];
+
+          for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+              if (!data[y * width + x]) continue;
+
+              const [p2, p3, p4, p5, p6, p7, p8, p9] = ringValues(skeleton, x, y);
+              const neighbors = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+              if (neighbors < 2 || neighbors > 6) continue;
+              if (crossingNumber([p2, p3, p4, p5, p6, p7, p8, p9]) !== 1) continue;
+
+              if (step === 0 ? (p2 * p4 * p6 === 0 && p4 * p6 * p8 === 0)
+                             : (p2 * p4 * p8 === 0 && p2 * p6 * p8 === 0)) {
+                remove.push(y * width + x);
+              }
+            }
+          }
+
+          for (const i of remove) data[i] = 0;
+          if (remove.length > 0) changed = true;
+        }
+      }
+
+      // Drop staircase corners so every line pixel has exactly two neighbors:
+      // a pixel between two orthogonal 4-neighbors goes if its neighbors stay connected
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!data[y * width + x]) continue;
+
+          const ring = ringValues(skeleton, x, y);
+          const corner = [0, 2, 4, 6].some(i => ring[i] && ring[(i + 2) % 8]);
+          if (corner && ringComponents(ring) === 1) {
+            data[y * width + x] = 0;
+          }
+        }
+      }
+
+      // Zhang-Suen can erase small blobs outright: keep one pixel of every vanished one
+      const seen = new Uint8Array(width * height);
+      for (let i = 0; i < mask.data.length; i++) {
+        if (!mask.data[i] || seen[i]) continue;
+        const blob = [i];
+        let kept = false;
+        seen[i] = 1;
+        for (let n = 0; n < blob.length; n++) {
+          const j = blob[n];
+          const x = j % width;
+          const y = (j - x) / width;
+          kept = kept || data[j] === 1;
+          for (const [dx, dy] of RING) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const k = ny * width + nx;
+            if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask.data[k] && !seen[k]) {
+              seen[k] = 1;
+              blob.push(k);
+            }
+          }
+        }
+        if (!kept) data[blob[Math.floor(blob.length / 2)]] = 1;
+      }
+
+      return skeleton;
+    },
+
+    /**
+     * Trace a skeleton into polylines (pixel coordinates)
+     * Junctions are merged, short spurs pruned, and edges meeting at a junction are
+     * paired by straightest continuation so a cross yields two crossing strokes
+     * @param {Object} skeleton - Skeleton mask from skeletonize()
+     * @param {Object} options - {penWidth: ink width in pixels, pairAngleTolDeg: max bend when pairing}
+     * @returns {Array} Array of polylines (arrays of {x, y} pixel centers)
+     */
+    traceSkeleton: function(skeleton, options = {}) {
+      const { width, height, data } = skeleton;
+      const penWidth = options.penWidth || 3;
+      const pairAngleTol = options.pairAngleTolDeg || 50;
+      const at = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[y * width + x] === 1;
+
+      // Classify pixels: endpoints and junctions become nodes
+      const nodeOf = new Int32Array(width * height).fill(-1);
+      const nodes = [];
+      const isJunction = new Uint8Array(width * height);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!at(x, y)) continue;
+          const ring = ringValues(skeleton, x, y);
+          const neighbors = ring.reduce((sum, v) => sum + v, 0);
+          const crossings = crossingNumber(ring);
+
+          if (neighbors >= 3) {
+            isJunction[y * width + x] = 1;
+          } else if (neighbors === 0 || crossings === 1) {
+            // Isolated pixel, or a line tip (its neighbors form one short run)
+            nodeOf[y * width + x] = nodes.length;
+            nodes.push({ pixels: [{ x, y }], junction: false });
+          }
+        }
+      }
+
+      // Cluster 8-connected junction pixels into single nodes
+      for (let i = 0; i < isJunction.length; i++) {
+        if (!isJunction[i] || nodeOf[i] >= 0) continue;
+        const node = { pixels: [], junction: true };
+        const id = nodes.length;
+        nodes.push(node);
+        const stack = [i];
+        nodeOf[i] = id;
+        while (stack.length > 0) {
+          const j = stack.pop();
+          const x = j % width;
+          const y = (j - x) / width;
+          node.pixels.push({ x, y });
+          for (const [dx, dy] of RING) {
+            const k = (y + dy) * width + (x + dx);
+            if (at(x + dx, y + dy) && isJunction[k] && nodeOf[k] < 0) {
+              nodeOf[k] = id;
+              stack.push(k);
+            }
+          }
+        }
+      }
+
+      // Walk edges between nodes
+      const visited = new Uint8Array(width * height);
+      const edges = [];
+      const directLinks = new Set();
+
+      const walk = (startNode, from, first) => {
+        const path = [from, first];
+        visited[first.y * width + first.x] = 1;
+        let prev = from;
+        let cur = first;
+
+        for (;;) {
+          let next = null;
+          let nextRank = Infinity;
+          for (const [dx, dy] of RING) {
+            const nx = cur.x + dx;
+            const ny = cur.y + dy;
+            if (!at(nx, ny) || (nx === prev.x && ny === prev.y)) continue;
+            const k = ny * width + nx;
+            const node = nodeOf[k];
+            // Rank: other nodes end the walk, then 4-neighbors, then diagonals
+            let rank;
+            if (node >= 0 && (node !== startNode || path.length > 3)) rank = 0;
+            else if (node >= 0 || visited[k]) continue;
+            else rank = dx === 0 || dy === 0 ? 1 : 2;
+            if (rank < nextRank) {
+              nextRank = rank;
+              next = { x: nx, y: ny };
+            }
+          }
+
+          if (!next) return { path, end: -1 };
+          path.push(next);
+          const node = nodeOf[next.y * width + next.x];
+          if (node >= 0) return { path, end: node };
+          visited[next.y * width + next.x] = 1;
+          prev = cur;
+          cur = next;
+        }
+      };
+
+      nodes.forEach((node, id) => {
+        for (const p of node.pixels) {
+          for (const [dx, dy] of RING) {
+            const qx = p.x + dx;
+            const qy = p.y + dy;
+            if (!at(qx, qy)) continue;
+            const k = qy * width + qx;
+            const other = nodeOf[k];
+
+            if (other === id) continue;
+            if (other >= 0) {
+              const key = Math.min(id, other) + ':' + Math.max(id, other);
+              if (!directLinks.has(key)) {
+                directLinks.add(key);
+                edges.push({ a: id, b: other, path: [p, { x: qx, y: qy }] });
+              }
+            } else if (!visited[k]) {
+              const result = walk(id, p, { x: qx, y: qy });
+              edges.push({ a: id, b: result.end, path: result.path });
+            }
+          }
+        }
+      });
+
+      // Remaining path pixels form closed loops with no node on them
+      for (let i = 0; i < data.length; i++) {
+        if (!data[i] || visited[i] || nodeOf[i] >= 0) continue;
+        const x = i % width;
+        const start = { x, y: (i - x) / width };
+        const id = nodes.length;
+        nodeOf[i] = id;
+        nodes.push({ pixels: [start], junction: false });
+        const neighbor = RING.map(([dx, dy]) => ({ x: start.x + dx, y: start.y + dy }))
+          .find(q => at(q.x, q.y) && !visited[q.y * width + q.x] && nodeOf[q.y * width + q.x] < 0);
+        if (neighbor) {
+          const result = walk(id, start, neighbor);
+          edges.push({ a: id, b: result.end, path: result.path });
+        }
+      }
+
+      // Open-ended walks (ran out of pixels) end at a new endpoint node
+      for (const edge of edges) {
+        if (edge.b < 0) {
+          edge.b = nodes.length;
+          nodes.push({ pixels: [edge.path[edge.path.length - 1]], junction: false });
+        }
+      }
+
+      // Merge junction nodes joined by edges shorter than the pen width
+      const parent = nodes.map((_, i) => i);
+      const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+      const edgeLength = (e) => BallotGeometry.strokeLength(e.path);
+
+      for (const edge of edges) {
+        if (nodes[edge.a].junction && nodes[edge.b].junction && edgeLength(edge) <= penWidth * 1.5) {
+          parent[find(edge.a)] = find(edge.b);
+          edge.merged = true;
+        }
+      }
+
+      const centers = new Map();
+      nodes.forEach((node, i) => {
+        const root = find(i);
+        const c = centers.get(root) || { x: 0, y: 0, n: 0, junction: false };
+        for (const p of node.pixels) {
+          c.x += p.x;
+          c.y += p.y;
+          c.n++;
+        }
+        c.junction = c.junction || node.junction;
+        centers.set(root, c);
+      });
+      centers.forEach(c => {
+        c.x /= c.n;
+        c.y /= c.n;
+      });
+
+      let live = edges
+        .filter(e => !e.merged && !(find(e.a) === find(e.b) && edgeLength(e) <= penWidth * 1.5))
+        .map(e => ({ a: find(e.a), b: find(e.b), path: e.path.slice() }));
+
+      // Prune spurs: short edges from a junction to a free end, shortest first,
+      // while the junction keeps at least two edges
+      const deg = new Map();
+      for (const e of live) {
+        deg.set(e.a, (deg.get(e.a) || 0) + 1);
+        deg.set(e.b, (deg.get(e.b) || 0) + 1);
+      }
+      const spurs = live
+        .filter(e => (deg.get(e.a) === 1 || deg.get(e.b) === 1) && edgeLength(e) <= penWidth)
+        .sort((p, q) => edgeLength(p) - edgeLength(q));
+      const pruned = new Set();
+      for (const e of spurs) {
+        const junction = deg.get(e.a) === 1 ? e.b : e.a;
+        if (deg.get(junction) >= 3) {
+          deg.set(junction, deg.get(junction) - 1);
+          pruned.add(e);
+        }
+      }
+      live = live.filter(e => !pruned.has(e));
+
+      // Anchor edge ends at their node centers
+      for (const e of live) {
+        const ca = centers.get(e.a);
+        const cb = centers.get(e.b);
+        if (ca.junction) e.path[0] = { x: ca.x, y: ca.y };
+        if (cb.junction) e.path[e.path.length - 1] = { x: cb.x, y: cb.y };
+      }
+
+      // Outgoing direction of an edge end, measured a few pen widths along the edge
+      const direction = (edge, end) => {
+        const path = end === 0 ? edge.path : edge.path.slice().reverse();
+        const origin = path[0];
+        const reach = penWidth * 3;
+        let target = path[path.length - 1];
+        for (const p of path) {
+          if (BallotGeometry.dist(p, origin) >= reach) {
+            target = p;
+            break;
+          }
+        }
+        return { x: target.x - origin.x, y: target.y - origin.y };
+      };
+
+      // Pair edge ends at each node: straightest continuations first
+      const ends = new Map();  // node -> [{edge, end}]
+      live.forEach((edge, i) => {
+        for (const end of [0, 1]) {
+          const node = end === 0 ? edge.a : edge.b;
+          if (!ends.has(node)) ends.set(node, []);
+          ends.get(node).push({ edge: i, end });
+        }
+      });
+
+      const partner = new Map();  // "edge:end" -> {edge, end}
+      const key = (x) => x.edge + ':' + x.end;
+
+      ends.forEach((list, node) => {
+        if (list.length === 2 && list[0].edge !== list[1].edge) {
+          // Pass-through or corner: always continue
+          partner.set(key(list[0]), list[1]);
+          partner.set(key(list[1]), list[0]);
+          return;
+        }
+        if (list.length < 3) return;
+
+        const candidates = [];
+        for (let i = 0; i < list.length; i++) {
+          for (let j = i + 1; j < list.length; j++) {
+            const bend = 180 - angleBetween(direction(live[list[i].edge], list[i].end),
+                                            direction(live[list[j].edge], list[j].end));
+            if (bend <= pairAngleTol) candidates.push({ i, j, bend });
+          }
+        }
+        candidates.sort((p, q) => p.bend - q.bend);
+
+        const used = new Set();
+        for (const c of candidates) {
+          if (used.has(c.i) || used.has(c.j)) continue;
+          used.add(c.i);
+          used.add(c.j);
+          partner.set(key(list[c.i]), list[c.j]);
+          partner.set(key(list[c.j]), list[c.i]);
+        }
+      });
+
+      // Chain paired edges into polylines
+      const usedEdges = new Set();
+      const polylines = [];
+
+      const follow = (start) => {
+        const points = [];
+        let cur = start;
+        while (cur && !usedEdges.has(cur.edge)) {
+          usedEdges.add(cur.edge);
+          const edge = live[cur.edge];
+          const path = cur.end === 0 ? edge.path : edge.path.slice().reverse();
+          for (const p of points.length > 0 ? path.slice(1) : path) points.push(p);
+          cur = partner.get(cur.edge + ':' + (1 - cur.end));
+        }
+        return points;
+      };
+
+      // Open chains start at unpaired ends; what remains are closed loops
+      live.forEach((edge, i) => {
+        for (const end of [0, 1]) {
+          if (!usedEdges.has(i) && !partner.has(i + ':' + end)) {
+            polylines.push(follow({ edge: i, end }));
+          }
+        }
+      });
+      live.forEach((edge, i) => {
+        if (!usedEdges.has(i)) polylines.push(follow({ edge: i, end: 0 }));
+      });
+
+      // Blobs that collapsed into a single merged junction keep their raw edges
+      const covered = new Set();
+      for (const e of live) {
+        covered.add(e.a);
+        covered.add(e.b);
+      }
+      for (const e of edges) {
+        if (find(e.a) === find(e.b) && !covered.has(find(e.a))) polylines.push(e.path);
+      }
+
+      // Isolated specks become zero-length strokes so blank detection still sees them
+      const connected = new Set();
+      for (const e of edges) {
+        connected.add(find(e.a));
+        connected.add(find(e.b));
+      }
+      centers.forEach((c, root) => {
+        if (!connected.has(root)) polylines.push([{ x: c.x, y: c.y }, { x: c.x, y: c.y }]);
+      });
+
+      return polylines;
+    },
+
+    /**
+     * Convert a raster of ink into strokes for BallotPreprocessing and validateMark
+     * @param {Object} image - Grayscale image {width, height, data}
+     * @param {Object} options - {frame: logical rect the raster covers (default: whole canvas),
+     *                           level: ink threshold (default: Otsu), ignoreBorderPx: clear frame ink}
+     * @returns {Array} Array of strokes (arrays of {x, y} in logical pixels)
+     */
+    rasterToStrokes: function(image, options = {}) {
+      const frame = options.frame ||
+        { x: 0, y: 0, width: BallotConfig.LOGICAL_WIDTH, height: BallotConfig.LOGICAL_HEIGHT };
+      const mask = this.threshold(image,
+                                  options.level !== undefined ? options.level : this.otsuLevel(image),
+                                  options.ignoreBorderPx || 0);
+      const skeleton = this.skeletonize(mask);
+
+      // Pen width estimate: ink area over skeleton length
+      const inkPixels = mask.data.reduce((sum, v) => sum + v, 0);
+      const skeletonPixels = skeleton.data.reduce((sum, v) => sum + v, 0);
+      const penWidth = skeletonPixels > 0 ? Math.max(1, inkPixels / skeletonPixels) : 1;
+
+      const scaleX = frame.width / image.width;
+      const scaleY = frame.height / image.height;
+
+      return this.traceSkeleton(skeleton, { penWidth })
+        .map(line => BallotPreprocessing.simplifyRDP(line, 0.75))
+        .map(line => line.map(p => ({
+          x: frame.x + (p.x + 0.5) * scaleX,
+          y: frame.y + (p.y + 0.5) * scaleY
+        })));
+    },
+
+    /**
+     * Render strokes as ink on white paper (synthetic scans for testing)
+     * @param {Array} strokes - Array of strokes (arrays of {x, y} in logical pixels)
+     * @param {Object} options - {width, height: raster size, frame: logical rect (default: whole canvas),
+     *                           strokeWidth: pen width in logical pixels (default: STROKE_WIDTH_PX)}
+     * @returns {Object} Grayscale image {width, height, data}
+     */
+    renderStrokes: function(strokes, options = {}) {
+      const frame = options.frame ||
+        { x: 0, y: 0, width: BallotConfig.LOGICAL_WIDTH, height: BallotConfig.LOGICAL_HEIGHT };
+      const width = options.width || Math.round(frame.width);
+      const height = options.height || Math.round(frame.height);
+      const radius = (options.strokeWidth || BallotConfig.STROKE_WIDTH_PX) / 2;
+      const scaleX = frame.width / width;
+      const scaleY = frame.height / height;
+      const data = new Uint8Array(width * height).fill(255);
+
+      const paint = (p1, p2) => {
+        const minX = Math.max(0, Math.floor((Math.min(p1.x, p2.x) - radius - frame.x) / scaleX));
+        const maxX = Math.min(width - 1, Math.ceil((Math.max(p1.x, p2.x) + radius - frame.x) / scaleX));
+        const minY = Math.max(0, Math.floor((Math.min(p1.y, p2.y) - radius - frame.y) / scaleY));
+        const maxY = Math.min(height - 1, Math.ceil((Math.max(p1.y, p2.y) + radius - frame.y) / scaleY));
+
+        for (let y = minY; y <= maxY; y++) {
+          for (let x = minX; x <= maxX; x++) {
+            const pt = { x: frame.x + (x + 0.5) * scaleX, y: frame.y + (y + 0.5) * scaleY };
+            if (BallotPreprocessing.pointToSegmentDist(pt, p1, p2) <= radius) {
+              data[y * width + x] = 0;
+            }
+          }
+        }
+      };
+
+      for (const stroke of strokes) {
+        if (stroke.length === 1) paint(stroke[0], stroke[0]);
+        for (let i = 0; i < stroke.length - 1; i++) paint(stroke[i], stroke[i + 1]);
+      }
+
+      return { width, height, data };
+    }
+  };
+});
@@ -0,0 +1,96 @@
+/**
+ * Retrace Merging
+ * Ink drawn back over earlier ink, in the same direction or the other way, is merged
+ * into the earlier centerline so later stages see each line once
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./preprocessing'), require('./spatial-index'));
+  } else {
+    root.BallotRetrace = factory(root.BallotConfig, root.BallotGeometry, root.BallotPreprocessing, root.BallotSpatialIndex);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotPreprocessing, BallotSpatialIndex) {
+  /**
+   * Whether two headings (degrees) run along the same line, either way
+   */
+  function collinear(a, b, tolerance) {
+    const diff = Math.abs(a - b) % 180;
+    return Math.min(diff, 180 - diff) <= tolerance;
+  }
+
+  /**
+   * Heading of a segment in degrees
+   */
+  function headingOf(p1, p2) {
+    return Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI;
+  }
+
+  return {
+    /**
+     * Remove the parts of a stroke that retrace earlier ink
+     * Earlier ink is the segments given plus the stroke's own ink from well before each point
+     * (a stroke that doubles back on itself); overlaps shorter than RETRACE_MIN_RUN_PX are kept
+     * @param {Array} stroke - Resampled stroke (before simplification, so overlaps are found point by point)
+     * @param {Array} earlier - Segments of the ink kept so far (from BallotIntersection.buildSegments)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Object} index - Spatial index over the earlier segments (default: scan them all)
+     * @returns {Object} {pieces: the stroke's remaining runs, length: stroke px, retracedLength: px removed}
+     */
+    trim: function(stroke, earlier, config = BallotConfig, index = null) {
+      const length = BallotGeometry.strokeLength(stroke);
+      if (stroke.length < 2) return { pieces: [stroke], length: length, retracedLength: 0 };
+
+      const reach = config.RETRACE_MERGE_DIST_PX;
+      const along = [0];
+      for (let i = 1; i < stroke.length; i++) along.push(along[i - 1] + BallotGeometry.dist(stroke[i - 1], stroke[i]));
+
+      const overlaps = (p, heading, seg) =>
+        BallotPreprocessing.pointToSegmentDist(p, seg.p1, seg.p2) <= reach &&
+        collinear(heading, headingOf(seg.p1, seg.p2), config.RETRACE_MERGE_ANGLE_DEG);
+
+      // The stroke's own segments, indexed so each point only checks its own ink nearby
+      const own = [];
+      for (let j = 0; j + 1 < stroke.length; j++) own.push({ p1: stroke[j], p2: stroke[j + 1], end: along[j + 1] });
+      const ownIndex = BallotSpatialIndex.build(own, config);
+
+      // Flag each point that lies on earlier ink running the same way
+      const retraced = stroke.map((p, i) => {
+        const heading = headingOf(stroke[Math.max(0, i - 1)], stroke[Math.min(stroke.length - 1, i + 1)]);
+
+        const candidates = index
+          ? BallotSpatialIndex.queryRadius(index, p, reach + index.maxSegmentLength / 2).map(k => index.segments[k])
+          : earlier;
+        if (candidates.some(seg => overlaps(p, heading, seg))) return true;
+
+        // Own ink far enough back that it is not the line leading up to this point
+        return BallotSpatialIndex.queryRadius(ownIndex, p, reach + ownIndex.maxSegmentLength / 2)
+          .some(k => own[k].end <= along[i] - 2 * config.RETRACE_MIN_RUN_PX && overlaps(p, heading, own[k]));
+      });
+
+      // Cut out long runs of retraced points, keeping the points where each run starts and ends
+      const pieces = [];
+      let current = [stroke[0]];
+      let retracedLength = 0;
+      let i = 1;
+      while (i < stroke.length) {
+        if (retraced[i - 1] && retraced[i]) {
+          let end = i;
+          while (end + 1 < stroke.length && retraced[end + 1]) end++;
+          if (along[end] - along[i - 1] >= config.RETRACE_MIN_RUN_PX) {
+            retracedLength += along[end] - along[i - 1];
+            if (current.length >= 2) pieces.push(current);
+            current = [stroke[end]];
+            i = end + 1;
+            continue;
+          }
+        }
+        current.push(stroke[i]);
+        i++;
+      }
+      if (current.length >= 2) pieces.push(current);
+
+      return { pieces: pieces, length: length, retracedLength: retracedLength };
+    }
+  };
+});
@@ -0,0 +1,101 @@
+/**
+ * Scribble Detection
+ * Ink scribbled over or filled in: how much of its area the ink covers, how much the pen
+ * turned, and how much ink went over ink already laid
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./preprocessing'));
+  } else {
+    root.BallotScribble = factory(root.BallotConfig, root.BallotGeometry, root.BallotPreprocessing);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotPreprocessing) {
+  // Coverage grid cell, relative to the pen width
+  const CELLS_PER_PEN_WIDTH = 4;
+
+  /**
+   * Grid cells (keys "x,y") whose centers lie under the ink
+   */
+  function inkedCells(strokes, radius, cellSize) {
+    const cells = new Set();
+    const paint = (p1, p2) => {
+      const minX = Math.floor((Math.min(p1.x, p2.x) - radius) / cellSize);
+      const maxX = Math.floor((Math.max(p1.x, p2.x) + radius) / cellSize);
+      const minY = Math.floor((Math.min(p1.y, p2.y) - radius) / cellSize);
+      const maxY = Math.floor((Math.max(p1.y, p2.y) + radius) / cellSize);
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          const center = { x: (x + 0.5) * cellSize, y: (y + 0.5) * cellSize };
+          if (BallotPreprocessing.pointToSegmentDist(center, p1, p2) <= radius) cells.add(x + ',' + y);
+        }
+      }
+    };
+
+    for (const stroke of strokes) {
+      if (stroke.length === 1) paint(stroke[0], stroke[0]);
+      for (let i = 0; i < stroke.length - 1; i++) paint(stroke[i], stroke[i + 1]);
+    }
+    return cells;
+  }
+
+  return {
+    /**
+     * Measure the scribble features of the ink
+     * @param {Array} strokes - Processed strokes, every pass of the pen (retraced ink not merged)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} {inkLength, inkedArea: px², boxCoverage: share of the vote box inked,
+     *                   density: share of the ink's bounding box inked, overlap: share of the ink laid
+     *                   over ink already there, turns: cumulative turning in full turns}
+     */
+    measure: function(strokes, config = BallotConfig) {
+      const radius = config.STROKE_WIDTH_PX / 2;
+      const cellSize = config.STROKE_WIDTH_PX / CELLS_PER_PEN_WIDTH;
+      const cells = inkedCells(strokes, radius, cellSize);
+      const inkedArea = cells.size * cellSize * cellSize;
+      const inkLength = strokes.reduce((sum, s) => sum + BallotGeometry.strokeLength(s), 0);
+
+      const box = config.VOTE_BOX;
+      let inBox = 0;
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const key of cells) {
+        const [x, y] = key.split(',').map(Number);
+        if (BallotGeometry.pointInRect({ x: (x + 0.5) * cellSize, y: (y + 0.5) * cellSize }, box)) inBox++;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+      const boundsCells = cells.size > 0 ? (maxX - minX + 1) * (maxY - minY + 1) : 0;
+
+      // Ink laid is the pen width along the centerline; what it did not add to the inked area went over ink
+      const laidArea = inkLength * config.STROKE_WIDTH_PX;
+
+      return {
+        inkLength: inkLength,
+        inkedArea: inkedArea,
+        boxCoverage: box.width * box.height > 0 ? inBox * cellSize * cellSize / (box.width * box.height) : 0,
+        density: boundsCells > 0 ? cells.size / boundsCells : 0,
+        overlap: laidArea > 0 ? Math.max(0, 1 - inkedArea / laidArea) : 0,
+        turns: strokes.reduce((sum, s) => sum + BallotGeometry.turning(s), 0)
+      };
+    },
+
+    /**
+     * Decide whether the ink is a scribble or a filled-in box
+     * Filled: the ink covers SCRIBBLE_FILL_MIN_COVERAGE of the vote box. Scribbled: the pen turned
+     * SCRIBBLE_MIN_TURNS times over ink that is dense or laid over itself
+     * @param {Object} features - Features from measure()
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {string|null} 'filled', 'scribbled', or null for neither
+     */
+    classify: function(features, config = BallotConfig) {
+      if (features.boxCoverage >= config.SCRIBBLE_FILL_MIN_COVERAGE) return 'filled';
+      if (features.turns >= config.SCRIBBLE_MIN_TURNS &&
+          (features.density >= config.SCRIBBLE_MIN_DENSITY || features.overlap >= config.SCRIBBLE_MIN_OVERLAP)) {
+        return 'scribbled';
+      }
+      return null;
+    }
+  };
+});
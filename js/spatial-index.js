@@ -0,0 +1,189 @@
+/**
+ * Spatial Index
+ * Uniform grids over segment bounding boxes and midpoints, built once per validation
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'));
+  } else {
+    root.BallotSpatialIndex = factory(root.BallotConfig, root.BallotGeometry);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry) {
+  // Pad bounding boxes so computed intersection points never fall just outside a cell
+  const PAD = 1e-6;
+
+  /**
+   * Sort candidate indices and drop duplicates (segments spanning several cells)
+   */
+  function uniqueSorted(indices) {
+    indices.sort((a, b) => a - b);
+    let n = 0;
+    for (let i = 0; i < indices.length; i++) {
+      if (i === 0 || indices[i] !== indices[i - 1]) indices[n++] = indices[i];
+    }
+    indices.length = n;
+    return indices;
+  }
+
+  return {
+    /**
+     * Build a grid index over segments
+     * @param {Array} segments - Array of segments from buildSegments()
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {Object} Index {segments, cellSize, minX, minY, cols, rows, cells, midCells, maxSegmentLength}
+     */
+    build: function(segments, config = BallotConfig) {
+      const cellSize = config.SPATIAL_INDEX_CELL_PX;
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      let maxSegmentLength = 0;
+
+      for (const seg of segments) {
+        minX = Math.min(minX, seg.p1.x, seg.p2.x);
+        minY = Math.min(minY, seg.p1.y, seg.p2.y);
+        maxX = Math.max(maxX, seg.p1.x, seg.p2.x);
+        maxY = Math.max(maxY, seg.p1.y, seg.p2.y);
+        maxSegmentLength = Math.max(maxSegmentLength, BallotGeometry.dist(seg.p1, seg.p2));
+      }
+
+      if (segments.length === 0) {
+        return { segments, cellSize, minX: 0, minY: 0, cols: 0, rows: 0, cells: [], midCells: [], maxSegmentLength };
+      }
+
+      minX -= PAD;
+      minY -= PAD;
+      const cols = Math.floor((maxX + PAD - minX) / cellSize) + 1;
+      const rows = Math.floor((maxY + PAD - minY) / cellSize) + 1;
+      // cells: every cell a segment's bounding box touches; midCells: the one cell holding its midpoint
+      const cells = Array.from({ length: cols * rows }, () => []);
+      const midCells = Array.from({ length: cols * rows }, () => []);
+      const index = { segments, cellSize, minX, minY, cols, rows, cells, midCells, maxSegmentLength };
+
+      segments.forEach((seg, i) => {
+        const range = this.cellRange(index, {
+          minX: Math.min(seg.p1.x, seg.p2.x) - PAD,
+          minY: Math.min(seg.p1.y, seg.p2.y) - PAD,
+          maxX: Math.max(seg.p1.x, seg.p2.x) + PAD,
+          maxY: Math.max(seg.p1.y, seg.p2.y) + PAD
+        });
+        for (let cy = range.y0; cy <= range.y1; cy++) {
+          for (let cx = range.x0; cx <= range.x1; cx++) {
+            cells[cy * cols + cx].push(i);
+          }
+        }
+
+        const mid = BallotGeometry.segmentMidpoint(seg);
+        const at = this.cellRange(index, { minX: mid.x, minY: mid.y, maxX: mid.x, maxY: mid.y });
+        midCells[at.y0 * cols + at.x0].push(i);
+      });
+
+      return index;
+    },
+
+    /**
+     * Grid cells covered by a rectangle, clamped to the grid
+     * @param {Object} index - Index from build()
+     * @param {Object} rect - {minX, minY, maxX, maxY}
+     * @returns {Object} Inclusive cell range {x0, y0, x1, y1} (empty when x0 > x1 or y0 > y1)
+     */
+    cellRange: function(index, rect) {
+      const cell = (v, min, count) => Math.max(0, Math.min(count - 1, Math.floor((v - min) / index.cellSize)));
+      const range = {
+        x0: cell(rect.minX, index.minX, index.cols),
+        y0: cell(rect.minY, index.minY, index.rows),
+        x1: cell(rect.maxX, index.minX, index.cols),
+        y1: cell(rect.maxY, index.minY, index.rows)
+      };
+      // Rectangles entirely off the grid cover nothing
+      const gridMaxX = index.minX + index.cols * index.cellSize;
+      const gridMaxY = index.minY + index.rows * index.cellSize;
+      if (rect.maxX < index.minX || rect.minX > gridMaxX) range.x1 = range.x0 - 1;
+      if (rect.maxY < index.minY || rect.minY > gridMaxY) range.y1 = range.y0 - 1;
+      return range;
+    },
+
+    /**
+     * Segments whose bounding box may touch a rectangle
+     * @param {Object} index - Index from build()
+     * @param {Object} rect - {minX, minY, maxX, maxY}
+     * @returns {Array} Ascending segment indices (a superset of exact matches)
+     */
+    queryRect: function(index, rect) {
+      const range = this.cellRange(index, rect);
+      const found = [];
+      for (let cy = range.y0; cy <= range.y1; cy++) {
+        for (let cx = range.x0; cx <= range.x1; cx++) {
+          for (const i of index.cells[cy * index.cols + cx]) found.push(i);
+        }
+      }
+      return uniqueSorted(found);
+    },
+
+    /**
+     * Segments whose midpoint may lie within a radius of P
+     * @param {Object} index - Index from build()
+     * @param {Object} P - Center point {x, y}
+     * @param {number} radius - Search radius in pixels
+     * @returns {Array} Ascending segment indices (a superset of exact matches)
+     */
+    queryRadius: function(index, P, radius) {
+      const range = this.cellRange(index, {
+        minX: P.x - radius,
+        minY: P.y - radius,
+        maxX: P.x + radius,
+        maxY: P.y + radius
+      });
+      const found = [];
+      for (let cy = range.y0; cy <= range.y1; cy++) {
+        for (let cx = range.x0; cx <= range.x1; cx++) {
+          for (const i of index.midCells[cy * index.cols + cx]) found.push(i);
+        }
+      }
+      return found.sort((a, b) => a - b);
+    },
+
+    /**
+     * Segments whose midpoint may lie in a band around a line through P
+     * @param {Object} index - Index from build()
+     * @param {Object} P - Point on the line {x, y}
+     * @param {number} direction - Line direction in degrees
+     * @param {number} halfWidth - Band half-width in pixels
+     * @param {number} minAhead - Ignore midpoints behind this distance along direction (default: whole line)
+     * @returns {Array} Ascending segment indices (a superset of exact matches)
+     */
+    queryBand: function(index, P, direction, halfWidth, minAhead = -Infinity) {
+      const rad = direction * Math.PI / 180;
+      const dirVec = { x: Math.cos(rad), y: Math.sin(rad) };
+      const halfDiagonal = index.cellSize * Math.SQRT1_2;
+      const found = [];
+
+      for (let cy = 0; cy < index.rows; cy++) {
+        // Columns the band crosses within this row (the whole row when the line is near horizontal)
+        const y0 = index.minY + cy * index.cellSize;
+        const y1 = y0 + index.cellSize;
+        let x0 = -Infinity;
+        let x1 = Infinity;
+        if (Math.abs(dirVec.y) > 1e-9) {
+          const spread = halfWidth / Math.abs(dirVec.y);
+          const xa = P.x + (y0 - P.y) * dirVec.x / dirVec.y;
+          const xb = P.x + (y1 - P.y) * dirVec.x / dirVec.y;
+          x0 = Math.min(xa, xb) - spread;
+          x1 = Math.max(xa, xb) + spread;
+        } else if (Math.abs(P.y - (y0 + y1) / 2) > halfWidth + index.cellSize / 2) {
+          continue;
+        }
+        const range = this.cellRange(index, { minX: x0, minY: y0, maxX: x1, maxY: y0 });
+
+        for (let cx = range.x0; cx <= range.x1; cx++) {
+          const center = { x: index.minX + (cx + 0.5) * index.cellSize, y: y0 + index.cellSize / 2 };
+          const ahead = (center.x - P.x) * dirVec.x + (center.y - P.y) * dirVec.y;
+          if (ahead + halfDiagonal < minAhead) continue;
+          if (BallotGeometry.pointToLineDistance(center, P, direction) > halfWidth + halfDiagonal) continue;
+          for (const i of index.midCells[cy * index.cols + cx]) found.push(i);
+        }
+      }
+
+      return found.sort((a, b) => a - b);
+    }
+  };
+});
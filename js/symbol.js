@@ -0,0 +1,188 @@
+/**
+ * Symbol Recognition
+ * Name the symbol drawn instead of a cross, for wrong-symbol reasons and reports
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./config'), require('./geometry'), require('./intersection'), require('./topology'), require('./check-mark'));
+  } else {
+    root.BallotSymbol = factory(root.BallotConfig, root.BallotGeometry, root.BallotIntersection, root.BallotTopology, root.BallotCheckMark);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotConfig, BallotGeometry, BallotIntersection, BallotTopology, BallotCheckMark) {
+  /**
+   * Bounding box of a set of strokes
+   */
+  function boundsOf(strokes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const stroke of strokes) {
+      for (const p of stroke) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      }
+    }
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Loop measurements of one stroke: end gap relative to length, and radial spread
+   */
+  function loopOf(stroke) {
+    const length = BallotGeometry.strokeLength(stroke);
+    const box = boundsOf([stroke]);
+    const center = { x: box.minX + box.width / 2, y: box.minY + box.height / 2 };
+    const radii = stroke.map(p => BallotGeometry.dist(p, center));
+    const mean = radii.reduce((sum, r) => sum + r, 0) / radii.length;
+    const variance = radii.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / radii.length;
+
+    return {
+      gapRatio: length > 0 ? BallotGeometry.dist(stroke[0], stroke[stroke.length - 1]) / length : 1,
+      radialDeviation: mean > 0 ? Math.sqrt(variance) / mean : 1,
+      turns: BallotGeometry.turning(stroke),
+      box: box
+    };
+  }
+
+  return {
+    // Thai names for reasons and reports (other: no name, the generic reason stands)
+    LABELS: {
+      circle: 'วงกลม',
+      line: 'เส้นตรงหรือขีด',
+      tick: 'เครื่องหมายถูก',
+      star: 'ดาวหรือดอกจัน',
+      digit: 'ตัวเลข',
+      scribble: 'ขีดเขียนหรือระบายทึบ',
+      filled: 'ระบายทึบทั้งช่อง',  // Named by BallotScribble, not classify()
+      smiley: 'หน้ายิ้ม',
+      other: null
+    },
+
+    /**
+     * Measure the shape features the classifier works from
+     * @param {Array} strokes - Processed strokes (resampled and simplified)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Array} intersections - Intersections from BallotIntersection (default: found here)
+     * @param {Object} index - Spatial index over the strokes' segments (default: none)
+     * @returns {Object} Features {strokeCount, points, inkLength, width, height, density, turns,
+     *                   straightness, directions, intersections, starBranches, loop, innerStrokes}
+     */
+    measure: function(strokes, config = BallotConfig, intersections = null, index = null) {
+      const points = strokes.reduce((sum, s) => sum + s.length, 0);
+      const lengths = strokes.map(s => BallotGeometry.strokeLength(s));
+      const inkLength = lengths.reduce((sum, l) => sum + l, 0);
+      const box = boundsOf(strokes);
+
+      const features = {
+        strokeCount: strokes.length,
+        points: points,
+        inkLength: inkLength,
+        width: box.width,
+        height: box.height,
+        density: inkLength / Math.max(1, box.width + box.height),
+        turns: strokes.reduce((sum, s) => sum + BallotGeometry.turning(s), 0),
+        straightness: Math.min(...strokes.map((s, i) =>
+          lengths[i] > 0 ? BallotGeometry.dist(s[0], s[s.length - 1]) / lengths[i] : 1)),
+        // Distinct stroke directions (end to end): 1 for a dash or parallel dashes
+        directions: BallotTopology.clusterAngles(strokes.map((s, i) => ({
+          angle: ((Math.atan2(s[s.length - 1].y - s[0].y, s[s.length - 1].x - s[0].x) * 180 / Math.PI) % 180 + 180) % 180,
+          weight: lengths[i]
+        })), config.BRANCH_ANGLE_CLUSTER_TOL_DEG).length,
+        intersections: 0,
+        starBranches: 0,
+        loop: null,
+        innerStrokes: 0
+      };
+
+      // Scribbles are classified on density and turning alone; skip the pairwise work
+      if (features.density >= config.SYMBOL_SCRIBBLE_MIN_DENSITY || features.turns >= config.SYMBOL_SCRIBBLE_MIN_TURNS) {
+        return features;
+      }
+
+      if (!intersections) {
+        intersections = BallotIntersection.findAllIntersections(BallotIntersection.buildSegments(strokes), config);
+      }
+      features.intersections = intersections.length;
+
+      // Star/asterisk: the most directions at a center shared by 3+ strokes
+      for (const cluster of BallotTopology.clusterIntersections(intersections, config.CROSS_CLUSTER_EPS_PX)) {
+        const strokeIds = new Set();
+        for (const inter of cluster.points) {
+          strokeIds.add(inter.seg1.strokeIndex);
+          strokeIds.add(inter.seg2.strokeIndex);
+        }
+        if (strokeIds.size >= 3) {
+          const branches = BallotTopology.countGlobalBranches(cluster.centroid, strokes, config, index);
+          features.starBranches = Math.max(features.starBranches, branches);
+        }
+      }
+
+      // Loop: the longest stroke, with the other strokes that sit inside it (a face's eyes and mouth)
+      const main = lengths.indexOf(Math.max(...lengths));
+      if (strokes[main].length >= 3) {
+        const loop = loopOf(strokes[main]);
+        features.loop = {
+          gapRatio: loop.gapRatio,
+          radialDeviation: loop.radialDeviation,
+          turns: loop.turns
+        };
+        features.innerStrokes = strokes.filter((s, i) => i !== main && s.every(p =>
+          p.x >= loop.box.minX && p.x <= loop.box.maxX && p.y >= loop.box.minY && p.y <= loop.box.maxY)).length;
+      }
+
+      return features;
+    },
+
+    /**
+     * Classify measured features into a symbol
+     * @param {Object} features - Features from measure()
+     * @param {Array} strokes - Processed strokes (for the tick check)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @returns {string} circle, line, tick, star, digit, scribble, smiley or other
+     */
+    classify: function(features, strokes, config = BallotConfig) {
+      if (features.density >= config.SYMBOL_SCRIBBLE_MIN_DENSITY || features.turns >= config.SYMBOL_SCRIBBLE_MIN_TURNS) {
+        return 'scribble';
+      }
+
+      const loop = features.loop;
+      const round = loop !== null &&
+                    loop.gapRatio <= config.SYMBOL_CLOSED_GAP_RATIO &&
+                    loop.radialDeviation <= config.SYMBOL_CIRCLE_MAX_RADIAL_DEVIATION &&
+                    loop.turns >= 0.75 && loop.turns <= 1.5;
+      if (round && features.innerStrokes >= 2) return 'smiley';
+      if (round && features.strokeCount === 1) return 'circle';
+
+      // Star: 3+ strokes through one center, or a closed outline crossing itself at each point
+      if (features.starBranches >= config.SYMBOL_STAR_MIN_BRANCHES) return 'star';
+      if (loop !== null && loop.gapRatio <= config.SYMBOL_CLOSED_GAP_RATIO && features.intersections >= 4) return 'star';
+      if (features.intersections === 0 && BallotCheckMark.detect(strokes, config).detected) return 'tick';
+      if (features.intersections === 0 && features.directions === 1 &&
+          features.straightness >= config.SYMBOL_LINE_MIN_STRAIGHTNESS) {
+        return 'line';
+      }
+
+      if (features.strokeCount <= 2 && features.turns >= 0.5 &&
+          features.height >= features.width * config.SYMBOL_DIGIT_MIN_ASPECT) {
+        return 'digit';
+      }
+
+      return 'other';
+    },
+
+    /**
+     * Recognize the symbol drawn
+     * @param {Array} strokes - Processed strokes (resampled and simplified)
+     * @param {Object} config - Resolved rule profile config (default: BallotConfig)
+     * @param {Array} intersections - Intersections from BallotIntersection (default: found here)
+     * @param {Object} index - Spatial index over the strokes' segments (default: none)
+     * @returns {Object} {symbol, label (Thai, null for other), features}
+     */
+    recognize: function(strokes, config = BallotConfig, intersections = null, index = null) {
+      const features = this.measure(strokes, config, intersections, index);
+      const symbol = this.classify(features, strokes, config);
+      return { symbol: symbol, label: this.LABELS[symbol], features: features };
+    }
+  };
+});
@@ -116,7 +116,9 @@
       const resultBadge = document.getElementById('currentResult');
       resultBadge.textContent = result.label + (result.reason ? ' - ' + result.reason : '');
 
-      if (result.valid === null) {
+      if (result.needs_review) {
+        resultBadge.className = 'result-badge review';
+      } else if (result.valid === null) {
         resultBadge.className = 'result-badge neutral';
       } else if (result.valid) {
         resultBadge.className = 'result-badge valid';
@@ -10,7 +10,10 @@
   class BallotTestRunner {
     constructor() {
       this.tests = [];
+      this.profile = null;
+      this.layout = null;
       this.results = [];
+      this.invariance = [];
       this.running = false;
       this.currentFilter = 'all';
     }
@@ -20,19 +23,13 @@
      * @param {Object} jsonData - Test data object
      */
     async loadTests(jsonData) {
-      // Validate schema
-      if (!jsonData.version || jsonData.version !== '1.0') {
-        throw new Error('Unsupported test data version: ' + (jsonData.version || 'missing'));
-      }
-
-      if (!jsonData.tests || !Array.isArray(jsonData.tests)) {
-        throw new Error('Invalid JSON schema: tests array not found');
-      }
-
-      this.tests = jsonData.tests;
+      this.tests = BallotTestSuite.parseSuite(jsonData);
+      this.profile = BallotTestSuite.suiteProfile(jsonData);
+      this.layout = BallotTestSuite.suiteLayout(jsonData);
       this.results = [];
+      this.invariance = [];
 
-      console.log('Loaded', this.tests.length, 'tests');
+      console.log('Loaded', this.tests.length, 'tests', 'with rule profile', this.profile.id);
     }
 
     /**
@@ -94,6 +91,57 @@
       return this.getSummary();
     }
 
+    /**
+     * Re-run every test with its strokes reordered, drawn the other way, shifted and mirrored
+     * @returns {Array} Checks from BallotTestSuite.checkInvariance()
+     */
+    async runInvariance() {
+      if (this.running) {
+        console.warn('Tests already running');
+        return;
+      }
+
+      this.running = true;
+      this.invariance = [];
+
+      const progressSection = document.getElementById('progressSection');
+      const progressBar = document.getElementById('progressBar');
+      const progressText = document.getElementById('progressText');
+      const stopBtn = document.getElementById('stopBtn');
+      const invarianceBtn = document.getElementById('invarianceBtn');
+
+      progressSection.classList.add('active');
+      stopBtn.style.display = 'inline-flex';
+      invarianceBtn.disabled = true;
+
+      for (let i = 0; i < this.tests.length; i++) {
+        if (!this.running) {
+          console.log('Invariance check stopped by user');
+          break;
+        }
+
+        this.invariance.push(BallotTestSuite.checkInvariance(this.tests[i], this.profile, this.layout));
+
+        const percent = Math.round((i + 1) / this.tests.length * 100);
+        progressBar.style.width = percent + '%';
+        progressBar.textContent = percent + '%';
+        progressText.textContent = `Checking invariance... ${i + 1}/${this.tests.length}`;
+
+        // Let the progress bar paint between tests
+        await this.delay(0);
+      }
+
+      progressSection.classList.remove('active');
+      stopBtn.style.display = 'none';
+      invarianceBtn.disabled = false;
+      this.running = false;
+
+      this.updateInvarianceUI();
+      console.log('Invariance check complete:', this.invariance.filter(c => !c.invariant).length, 'verdicts changed');
+
+      return this.invariance;
+    }
+
     /**
      * Stop running tests
      */
@@ -107,33 +155,7 @@
      * @returns {Object} Test result
      */
     runTest(testCase) {
-      // Execute validation
-      const actual = BallotValidation.validateMark(
-        testCase.strokes,
-        { debug: true }
-      );
-
-      // Compare with expected
-      const passed = (
-        actual.valid === testCase.expected.valid &&
-        (testCase.expected.invalid_type === null ||
-         actual.invalid_type === testCase.expected.invalid_type)
-      );
-
-      return {
-        testId: testCase.id,
-        testName: testCase.name,
-        testCase: testCase, // Keep reference for "Open in Main App"
-        passed: passed,
-        expected: testCase.expected,
-        actual: {
-          valid: actual.valid,
-          invalid_type: actual.invalid_type,
-          label: actual.label,
-          reason: actual.reason
-        },
-        debug: actual.debug
-      };
+      return BallotTestSuite.runTest(testCase, this.profile, this.layout);
     }
 
     /**
@@ -141,17 +163,7 @@
      * @returns {Object} Summary object
      */
     getSummary() {
-      const total = this.results.length;
-      const passed = this.results.filter(r => r.passed).length;
-      const failed = total - passed;
-      const passRate = total > 0 ? ((passed / total) * 100).toFixed(1) : '0.0';
-
-      return {
-        total,
-        passed,
-        failed,
-        passRate
-      };
+      return BallotTestSuite.summarize(this.results);
     }
 
     /**
@@ -296,18 +308,15 @@
       ctx.fillStyle = 'white';
       ctx.fillRect(0, 0, width, height);
 
-      // Draw vote box (scaled)
+      // Draw vote boxes (scaled): the ballot layout's, or the single vote box
       const scaleX = width / BallotConfig.LOGICAL_WIDTH;
       const scaleY = height / BallotConfig.LOGICAL_HEIGHT;
 
       ctx.strokeStyle = '#ddd';
       ctx.lineWidth = 1;
-      ctx.strokeRect(
-        BallotConfig.VOTE_BOX.x * scaleX,
-        BallotConfig.VOTE_BOX.y * scaleY,
-        BallotConfig.VOTE_BOX.width * scaleX,
-        BallotConfig.VOTE_BOX.height * scaleY
-      );
+      for (const box of this.layout ? this.layout.boxes : [BallotConfig.VOTE_BOX]) {
+        ctx.strokeRect(box.x * scaleX, box.y * scaleY, box.width * scaleX, box.height * scaleY);
+      }
 
       // Draw strokes
       ctx.strokeStyle = '#222';
@@ -347,12 +356,19 @@
       failureCount.textContent = failures.length;
 
       failureList.innerHTML = failures.map(result => {
-        const expectedText = result.expected.valid
-          ? 'Valid'
-          : `Invalid (${result.expected.invalid_type})`;
-        const actualText = result.actual.valid
-          ? 'Valid'
-          : `Invalid (${result.actual.invalid_type})`;
+        const expectedText = result.expected.needs_review
+          ? 'Needs review'
+          : result.expected.valid
+            ? 'Valid'
+            : `Invalid (${result.expected.invalid_type})`;
+        const actualText = (result.actual.needs_review
+          ? (result.actual.confidence === undefined
+            ? 'Needs review'
+            : `Needs review (confidence ${(result.actual.confidence * 100).toFixed(0)}%)`)
+          : result.actual.valid
+            ? 'Valid'
+            : `Invalid (${result.actual.invalid_type})`) +
+          (result.actual.outcome ? ` - ${result.actual.outcome}` : '');
 
         return `
           <div class="failure-item">
@@ -362,6 +378,7 @@
               <div><strong>Got:</strong> ${actualText}</div>
               ${result.actual.reason ? `<div><strong>Reason:</strong> ${result.actual.reason}</div>` : ''}
             </div>
+            ${result.trace ? `<pre class="failure-trace">${BallotTrace.format(result.trace).join('\n')}</pre>` : ''}
             <div class="failure-actions">
               <button class="btn btn-primary" onclick="runner.openResultInMainApp(runner.results.find(r => r.testId === '${result.testId}'))">
                 🔗 Open in Main App
@@ -372,6 +389,42 @@
       }).join('');
     }
 
+    /**
+     * Update invariance section UI
+     */
+    updateInvarianceUI() {
+      const invarianceSection = document.getElementById('invarianceSection');
+      const changed = this.invariance.filter(c => !c.invariant);
+
+      invarianceSection.classList.add('active');
+      document.getElementById('invarianceCount').textContent = changed.length;
+
+      const describe = (verdict) => verdict.needs_review
+        ? 'Needs review'
+        : verdict.valid ? 'Valid' : `Invalid (${verdict.invalid_type})`;
+
+      if (changed.length === 0) {
+        document.getElementById('invarianceList').innerHTML =
+          `<div class="empty-state">All ${this.invariance.length} tests keep their verdict under every transform</div>`;
+        return;
+      }
+
+      document.getElementById('invarianceList').innerHTML = changed.map(check => `
+          <div class="failure-item">
+            <div class="failure-title">🔀 ${check.testName}</div>
+            <div class="failure-details">
+              <div><strong>Verdict:</strong> ${describe(check.verdict)}</div>
+              ${check.changed.map(c => `<div><strong>${c.transform}:</strong> ${describe(c.verdict)}</div>`).join('')}
+            </div>
+            <div class="failure-actions">
+              <button class="btn btn-primary" onclick="runner.openInMainApp(runner.tests.find(t => t.id === '${check.testId}'))">
+                🔗 Open in Main App
+              </button>
+            </div>
+          </div>
+        `).join('');
+    }
+
     /**
      * Export test results as JSON
      */
@@ -385,6 +438,7 @@
 
       const reportData = {
         summary: summary,
+        profile: this.profile ? BallotProfiles.describe(this.profile) : null,
         results: this.results.map(r => ({
           testId: r.testId,
           testName: r.testName,
@@ -396,7 +450,15 @@
           testId: r.testId,
           testName: r.testName,
           expected: r.expected,
-          actual: r.actual
+          actual: r.actual,
+          trace: r.trace
+        })),
+        invariance: this.invariance.map(c => ({
+          testId: c.testId,
+          testName: c.testName,
+          invariant: c.invariant,
+          verdict: c.verdict,
+          variants: c.variants
         })),
         timestamp: new Date().toISOString()
       };
@@ -433,6 +495,7 @@
     const loadTestsFile = document.getElementById('loadTestsFile');
     const runAllBtn = document.getElementById('runAllBtn');
     const stopBtn = document.getElementById('stopBtn');
+    const invarianceBtn = document.getElementById('invarianceBtn');
     const exportReportBtn = document.getElementById('exportReportBtn');
 
     // Load Tests button
@@ -452,6 +515,7 @@
         await runner.loadTests(data);
 
         runAllBtn.disabled = false;
+        invarianceBtn.disabled = false;
         exportReportBtn.disabled = false;
 
         alert(`Loaded ${runner.tests.length} tests successfully`);
@@ -470,6 +534,11 @@
       await runner.runAll(100);
     });
 
+    // Check Invariance button
+    invarianceBtn.addEventListener('click', async () => {
+      await runner.runInvariance();
+    });
+
     // Stop button
     stopBtn.addEventListener('click', () => {
       runner.stop();
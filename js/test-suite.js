@@ -0,0 +1,352 @@
+/**
+ * Test Suite Execution
+ * Schema checks, pass/fail comparison, metamorphic (invariance) and incremental checks
+ * shared by test-runner.html and the CLI
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./validation'), require('./profiles'), require('./continuity'), require('./layout'), require('./incremental'));
+  } else {
+    root.BallotTestSuite = factory(root.BallotValidation, root.BallotProfiles, root.BallotContinuity, root.BallotLayout, root.BallotIncremental);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotValidation, BallotProfiles, BallotContinuity, BallotLayout, BallotIncremental) {
+  // Small shifts (px) a mark's verdict must not depend on
+  const TRANSLATIONS = [[3, 2], [-2, -3]];
+
+  // Pen-up time added between reordered lines, so no two are taken for a pen skip (ms)
+  const LINE_PAUSE_MS = 250;
+
+  /**
+   * Copy strokes with each point moved (other point fields such as t and pressure kept)
+   */
+  function mapPoints(strokes, move) {
+    return strokes.map(stroke => stroke.map(p => Object.assign({}, p, move(p))));
+  }
+
+  /**
+   * Timestamps spanned by a line's points (null when it has none)
+   */
+  function timeSpan(line) {
+    let start = Infinity;
+    let end = -Infinity;
+    for (const stroke of line) {
+      for (const p of stroke) {
+        if (typeof p.t !== 'number') continue;
+        start = Math.min(start, p.t);
+        end = Math.max(end, p.t);
+      }
+    }
+    return start <= end ? { start, end } : null;
+  }
+
+  /**
+   * A line drawn the other way: its strokes in reverse order, each from its end, played back in reverse time
+   */
+  function reverseLine(line) {
+    const span = timeSpan(line);
+    return line.slice().reverse().map(stroke => stroke.slice().reverse().map(p =>
+      span && typeof p.t === 'number' ? Object.assign({}, p, { t: span.start + span.end - p.t }) : p));
+  }
+
+  /**
+   * Lay lines out one after another in time, each keeping its own timing
+   */
+  function sequence(lines, pause) {
+    const strokes = [];
+    let clock = null;
+    for (const line of lines) {
+      const span = timeSpan(line);
+      if (!span) {
+        strokes.push(...line);
+        continue;
+      }
+      const shift = clock === null ? 0 : clock - span.start;
+      strokes.push(...line.map(stroke => stroke.map(p =>
+        typeof p.t === 'number' ? Object.assign({}, p, { t: p.t + shift }) : p)));
+      clock = span.end + shift + pause;
+    }
+    return strokes;
+  }
+
+  /**
+   * Rule profile a test runs under: its own config block on top of the suite's profile
+   */
+  function caseProfile(testCase, profile) {
+    if (!testCase.config || Object.keys(testCase.config).length === 0) return profile;
+    const base = BallotProfiles.resolve(profile);
+    return BallotProfiles.resolve({
+      id: base.id + '+test',
+      name: 'Test case config',
+      version: base.version,
+      extends: base,
+      overrides: testCase.config
+    });
+  }
+
+  /**
+   * Validate a test's strokes as one mark, or as a whole ballot when the suite has a layout
+   * (a ballot needs review when that is its outcome)
+   */
+  function validate(strokes, profile, layout) {
+    if (!layout) return BallotValidation.validateMark(strokes, { debug: true, profile: profile });
+    const result = BallotValidation.validateBallot(strokes, layout, { profile: profile });
+    return Object.assign(result, { needs_review: result.outcome === 'needs_review' });
+  }
+
+  /**
+   * Verdict fields a transform must leave unchanged
+   */
+  function verdictOf(result) {
+    return { valid: result.valid, invalid_type: result.invalid_type, needs_review: result.needs_review };
+  }
+
+  return {
+    // Supported test data schema version
+    VERSION: '1.0',
+
+    /**
+     * Validate test data schema and return its test cases
+     * @param {Object} jsonData - Test data object
+     * @returns {Array} Array of test cases
+     */
+    parseSuite: function(jsonData) {
+      if (!jsonData || !jsonData.version || jsonData.version !== this.VERSION) {
+        throw new Error('Unsupported test data version: ' + ((jsonData && jsonData.version) || 'missing'));
+      }
+
+      if (!jsonData.tests || !Array.isArray(jsonData.tests)) {
+        throw new Error('Invalid JSON schema: tests array not found');
+      }
+
+      return jsonData.tests;
+    },
+
+    /**
+     * Build the rule profile a suite was recorded under
+     * Applies the suite's config block on top of its named profile (or the given base)
+     * @param {Object} jsonData - Test data object
+     * @param {string} baseProfile - Profile id used when the suite names none
+     * @returns {Object} Resolved profile {id, name, version, config}
+     */
+    suiteProfile: function(jsonData, baseProfile = BallotProfiles.DEFAULT_PROFILE) {
+      const base = jsonData.profile || baseProfile;
+      if (!jsonData.config || Object.keys(jsonData.config).length === 0) {
+        return BallotProfiles.resolve(base);
+      }
+
+      return BallotProfiles.resolve({
+        id: base + '+suite',
+        name: 'Test suite config',
+        version: jsonData.createdAt || null,
+        extends: base,
+        overrides: jsonData.config
+      });
+    },
+
+    /**
+     * Ballot layout a suite's tests are drawn on
+     * @param {Object} jsonData - Test data object
+     * @returns {Object|null} Layout {boxes}, or null for a suite of single-box marks
+     */
+    suiteLayout: function(jsonData) {
+      return jsonData.layout || null;
+    },
+
+    /**
+     * Run a single test
+     * @param {Object} testCase - Test case object
+     * @param {Object} profile - Rule profile (default: BallotProfiles.DEFAULT_PROFILE)
+     * @param {Object} layout - Ballot layout from suiteLayout() (default: validate a single mark)
+     * @returns {Object} Test result
+     */
+    runTest: function(testCase, profile, layout = null) {
+      // Execute validation (a test may override rules for itself)
+      const actual = validate(testCase.strokes, caseProfile(testCase, profile), layout);
+
+      // Compare with expected (suites may expect a mark to be routed to review,
+      // may name the symbol drawn, and ballot suites may expect an outcome and choice)
+      const expected = testCase.expected;
+      const passed = (expected.needs_review
+        ? actual.needs_review === true
+        : (
+          actual.valid === expected.valid &&
+          (expected.invalid_type === null ||
+           actual.invalid_type === expected.invalid_type)
+        )) &&
+        (expected.symbol === undefined || actual.symbol === expected.symbol) &&
+        (expected.outcome === undefined || actual.outcome === expected.outcome) &&
+        (expected.choice === undefined || actual.choice === expected.choice);
+
+      return {
+        testId: testCase.id,
+        testName: testCase.name,
+        testCase: testCase, // Keep reference for "Open in Main App"
+        passed: passed,
+        expected: testCase.expected,
+        actual: {
+          valid: actual.valid,
+          invalid_type: actual.invalid_type,
+          label: actual.label,
+          reason: actual.reason,
+          symbol: actual.symbol,
+          needs_review: actual.needs_review,
+          confidence: actual.confidence,
+          outcome: actual.outcome,
+          choice: actual.choice
+        },
+        profile: actual.profile,
+        trace: actual.trace || null,
+        debug: actual.debug
+      };
+    },
+
+    /**
+     * Variants of a mark that must get the same verdict
+     * Lines (strokes joined across pen skips) are reordered and redrawn the other way as whole
+     * lines. The recorded strokes are also played back last to first, and shuffled when none are
+     * joined, so a pen skip is never split. Mirrors reflect the mark across the vote box center lines
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y, t})
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Array} Array of {transform: name, strokes, upsideDown: turns the mark upside down}
+     */
+    variants: function(strokes, config) {
+      const lines = BallotContinuity.reconstruct(strokes, config).groups.map(group => group.map(i => strokes[i]));
+      const pause = config.STROKE_JOIN_MAX_PAUSE_MS + LINE_PAUSE_MS;
+      const box = config.VOTE_BOX;
+      const cx = box.x + box.width / 2;
+      const cy = box.y + box.height / 2;
+
+      const variants = [];
+      if (lines.length > 1) {
+        variants.push({ transform: 'order-reversed', strokes: sequence(lines.slice().reverse(), pause) });
+      }
+      if (lines.length > 2) {
+        variants.push({ transform: 'order-rotated', strokes: sequence(lines.slice(1).concat([lines[0]]), pause) });
+      }
+      variants.push({ transform: 'direction-reversed', strokes: sequence(lines.map(reverseLine), pause) });
+      if (strokes.length > 1) {
+        variants.push({ transform: 'strokes-backward', strokes: reverseLine(strokes) });
+      }
+      if (strokes.length > 2 && lines.length === strokes.length) {
+        // Every other stroke first: 1, 3, 5, ..., 0, 2, 4, ...
+        const interleaved = strokes.filter((s, i) => i % 2 === 1).concat(strokes.filter((s, i) => i % 2 === 0));
+        variants.push({ transform: 'strokes-interleaved', strokes: sequence(interleaved.map(s => [s]), pause) });
+      }
+      for (const [dx, dy] of TRANSLATIONS) {
+        variants.push({
+          transform: `translate(${dx},${dy})`,
+          strokes: mapPoints(strokes, p => ({ x: p.x + dx, y: p.y + dy }))
+        });
+      }
+      variants.push({ transform: 'mirror-x', strokes: mapPoints(strokes, p => ({ x: 2 * cx - p.x })) });
+      variants.push({ transform: 'mirror-y', strokes: mapPoints(strokes, p => ({ y: 2 * cy - p.y })), upsideDown: true });
+      return variants;
+    },
+
+    /**
+     * Check that a test's verdict survives stroke order, direction, translation and mirroring
+     * A tick is only a tick the right way up, so ticks are not turned upside down
+     * @param {Object} testCase - Test case object
+     * @param {Object} profile - Rule profile (default: BallotProfiles.DEFAULT_PROFILE)
+     * @param {Object} layout - Ballot layout from suiteLayout() (default: validate a single mark)
+     * @returns {Object} Check result {testId, testName, testCase, invariant, verdict,
+     *                   variants: [{transform, verdict, changed}], changed: the variants whose verdict changed}
+     */
+    checkInvariance: function(testCase, profile, layout = null) {
+      profile = caseProfile(testCase, profile);
+      // A ballot is mirrored across the middle of its layout
+      const { config } = BallotValidation.resolveConfig({
+        profile: profile,
+        box: layout ? BallotLayout.bounds(layout) : null
+      });
+      const result = validate(testCase.strokes, profile, layout);
+      const verdict = verdictOf(result);
+      const tick = !layout && result.trace.some(s => s.stage === 'check_mark' && s.measured !== null);
+
+      const variants = this.variants(testCase.strokes, config).filter(v => !(tick && v.upsideDown)).map(variant => {
+        const changed = verdictOf(validate(variant.strokes, profile, layout));
+        return {
+          transform: variant.transform,
+          verdict: changed,
+          changed: changed.valid !== verdict.valid ||
+                   changed.invalid_type !== verdict.invalid_type ||
+                   changed.needs_review !== verdict.needs_review
+        };
+      });
+
+      const changed = variants.filter(v => v.changed);
+      return {
+        testId: testCase.id,
+        testName: testCase.name,
+        testCase: testCase,
+        invariant: changed.length === 0,
+        verdict: verdict,
+        variants: variants,
+        changed: changed
+      };
+    },
+
+    /**
+     * Check that validating a test's strokes one at a time, as the app does while drawing,
+     * ends on the verdict runTest gives for all strokes at once
+     * A ballot is validated whole, so ballot tests are skipped
+     * @param {Object} testCase - Test case object
+     * @param {Object} profile - Rule profile (default: BallotProfiles.DEFAULT_PROFILE)
+     * @param {Object} layout - Ballot layout from suiteLayout() (default: validate a single mark)
+     * @returns {Object} Check result {testId, testName, testCase, skipped, consistent,
+     *                   verdict, incremental: the last stroke's verdict, reason, incrementalReason}
+     */
+    checkIncremental: function(testCase, profile, layout = null) {
+      const check = { testId: testCase.id, testName: testCase.name, testCase: testCase };
+      if (layout) {
+        return Object.assign(check, { skipped: true, consistent: true, verdict: null, incremental: null });
+      }
+
+      profile = caseProfile(testCase, profile);
+      const result = validate(testCase.strokes, profile, null);
+      const session = BallotIncremental.create({ debug: true, profile: profile });
+      let last = session.validate();
+      for (const stroke of testCase.strokes) last = session.addStroke(stroke);
+
+      const verdict = verdictOf(result);
+      const incremental = verdictOf(last);
+      return Object.assign(check, {
+        skipped: false,
+        consistent: incremental.valid === verdict.valid &&
+                    incremental.invalid_type === verdict.invalid_type &&
+                    incremental.needs_review === verdict.needs_review &&
+                    last.reason === result.reason,
+        verdict: verdict,
+        incremental: incremental,
+        reason: result.reason,
+        incrementalReason: last.reason
+      });
+    },
+
+    /**
+     * Get summary statistics
+     * @param {Array} results - Array of test results from runTest()
+     * @returns {Object} Summary object {total, passed, failed, passRate, symbols: count per recognized symbol}
+     */
+    summarize: function(results) {
+      const total = results.length;
+      const passed = results.filter(r => r.passed).length;
+      const failed = total - passed;
+      const passRate = total > 0 ? ((passed / total) * 100).toFixed(1) : '0.0';
+
+      const symbols = {};
+      for (const r of results) {
+        if (r.actual.symbol) symbols[r.actual.symbol] = (symbols[r.actual.symbol] || 0) + 1;
+      }
+
+      return {
+        total,
+        passed,
+        failed,
+        passRate,
+        symbols
+      };
+    }
+  };
+});
@@ -0,0 +1,101 @@
+/**
+ * Decision Trace
+ * Stage-by-stage record of measurements, thresholds and outcomes in precedence order
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BallotTrace = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  return {
+    // Precedence stages in evaluation order
+    STAGES: [
+      { stage: 'blank', label: 'Blank (ink length)' },
+      { stage: 'stray_ink', label: 'Stray ink (specks)' },
+      { stage: 'scribble', label: 'Scribble / fill-in' },
+      { stage: 'continuity', label: 'Stroke continuity (joined)' },
+      { stage: 'retrace', label: 'Retraced ink (merged)' },
+      { stage: 'outside_box', label: 'Outside box (overshoot)' },
+      { stage: 'no_cross', label: 'Crossing found' },
+      { stage: 'check_mark', label: 'Check mark (✓)' },
+      { stage: 'multi_mark', label: 'Multi-mark / intentional' },
+      { stage: 'wrong_symbol', label: 'Cross shape (min arm)' },
+      { stage: 'branch_topology', label: 'Branch topology' },
+      { stage: 'center_position', label: 'Cross center position' },
+      { stage: 'explained_ink', label: 'Explained ink' }
+    ],
+
+    /**
+     * Create a trace with every stage not yet reached
+     * @returns {Array} Array of stage entries {stage, label, measured, threshold, comparison, unit, passed, details}
+     */
+    create: function() {
+      return this.STAGES.map(s => ({
+        stage: s.stage,
+        label: s.label,
+        measured: null,
+        threshold: null,
+        comparison: null,
+        unit: '',
+        passed: null,
+        details: {}
+      }));
+    },
+
+    /**
+     * Record the outcome of a stage
+     * @param {Array} trace - Trace from create()
+     * @param {string} stage - Stage id
+     * @param {Object} fields - {measured, threshold, comparison, unit, passed, details}
+     * @returns {Object} The updated stage entry
+     */
+    record: function(trace, stage, fields) {
+      const entry = trace.find(e => e.stage === stage);
+      if (!entry) {
+        throw new Error('Unknown trace stage: ' + stage);
+      }
+      return Object.assign(entry, fields);
+    },
+
+    /**
+     * Find the stage that rejected the mark
+     * @param {Array} trace - Trace
+     * @returns {Object|null} First failed stage entry, or null if none failed
+     */
+    decidingStage: function(trace) {
+      return trace.find(e => e.passed === false) || null;
+    },
+
+    /**
+     * Format a trace as text lines for overlays and reports
+     * @param {Array} trace - Trace
+     * @returns {Array} Array of strings, one per stage
+     */
+    format: function(trace) {
+      const num = (v) => (typeof v === 'number' && !Number.isInteger(v)) ? v.toFixed(2) : String(v);
+
+      return trace.map(e => {
+        if (e.passed === null) {
+          return `· ${e.label}: not reached`;
+        }
+
+        // Ratios read as percentages
+        const show = (v) => e.unit === 'ratio' ? (v * 100).toFixed(1) + '%' : num(v);
+        const unit = e.unit && e.unit !== 'ratio' ? ' ' + e.unit : '';
+
+        const mark = e.passed ? '✓' : '✗';
+        let line = `${mark} ${e.label}: ${show(e.measured)}${unit}`;
+        if (e.threshold !== null) {
+          line += ` (${e.comparison} ${show(e.threshold)})`;
+        }
+        if (e.details && e.details.note) {
+          line += ` - ${e.details.note}`;
+        }
+        return line;
+      });
+    }
+  };
+});
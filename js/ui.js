@@ -78,12 +78,25 @@
 
       // Redraw all strokes
       ctx.strokeStyle = '#222';
-      ctx.lineWidth = BallotConfig.STROKE_WIDTH_PX;
       ctx.lineCap = 'round';
       ctx.lineJoin = 'round';
 
       for (const stroke of strokes) {
         if (stroke.length < 2) continue;
+
+        // Pen strokes carry pressure: draw each segment at its own ink width
+        if (stroke[0].pressure !== undefined) {
+          for (let i = 1; i < stroke.length; i++) {
+            ctx.lineWidth = BallotInk.widthAt(stroke[i]);
+            ctx.beginPath();
+            ctx.moveTo(stroke[i - 1].x, stroke[i - 1].y);
+            ctx.lineTo(stroke[i].x, stroke[i].y);
+            ctx.stroke();
+          }
+          continue;
+        }
+
+        ctx.lineWidth = BallotConfig.STROKE_WIDTH_PX;
         ctx.beginPath();
         ctx.moveTo(stroke[0].x, stroke[0].y);
         for (let i = 1; i < stroke.length; i++) {
@@ -105,6 +118,35 @@
     drawDebugOverlay: function(debugData) {
       if (!debugData) return;
 
+      // Draw raw input centerlines (gray) under the smoothed strokes the engine measured (magenta)
+      if (debugData.smoothedStrokes) {
+        ctx.lineWidth = 1;
+        [[debugData.rawStrokes, 'rgba(80, 80, 80, 0.8)'], [debugData.smoothedStrokes, 'rgba(220, 0, 200, 0.9)']]
+          .forEach(([strokes, color]) => {
+            ctx.strokeStyle = color;
+            for (const stroke of strokes) {
+              if (stroke.length < 2) continue;
+              ctx.beginPath();
+              ctx.moveTo(stroke[0].x, stroke[0].y);
+              for (let i = 1; i < stroke.length; i++) {
+                ctx.lineTo(stroke[i].x, stroke[i].y);
+              }
+              ctx.stroke();
+            }
+          });
+      }
+
+      // Ring stray ink (pen taps and specks apart from the mark)
+      if (debugData.strayInk) {
+        ctx.strokeStyle = 'rgba(255, 140, 0, 0.9)';
+        ctx.lineWidth = 1.5;
+        for (const speck of debugData.strayInk.locations) {
+          ctx.beginPath();
+          ctx.arc(speck.x, speck.y, 10, 0, 2 * Math.PI);
+          ctx.stroke();
+        }
+      }
+
       // Draw cluster centroids
       if (debugData.clusters) {
         for (const cluster of debugData.clusters) {
@@ -175,11 +217,11 @@
         }
       }
 
-      // Draw text info
-      if (debugData.info) {
+      // Draw stage trace
+      if (debugData.trace) {
         ctx.fillStyle = 'black';
         ctx.font = '11px monospace';
-        const lines = debugData.info.split('\n');
+        const lines = BallotTrace.format(debugData.trace);
         for (let i = 0; i < lines.length; i++) {
           ctx.fillText(lines[i], 10, 20 + i * 13);
         }
@@ -195,7 +237,11 @@
 
       resultBadge.className = 'result-badge';
 
-      if (result.valid === null) {
+      if (result.needs_review) {
+        resultBadge.classList.add('review');
+        resultBadge.textContent = result.label || 'ต้องพิจารณา';
+        resultReason.textContent = result.reason;
+      } else if (result.valid === null) {
         resultBadge.classList.add('neutral');
         resultBadge.textContent = result.label || 'รอการทำเครื่องหมาย';
         resultReason.textContent = '';
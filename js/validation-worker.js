@@ -0,0 +1,37 @@
+/**
+ * Validation Worker
+ * Run validateMark off the UI thread on behalf of BallotValidator
+ */
+
+importScripts(
+  'config.js',
+  'geometry.js',
+  'ink.js',
+  'spatial-index.js',
+  'preprocessing.js',
+  'retrace.js',
+  'continuity.js',
+  'scribble.js',
+  'intersection.js',
+  'arm-extension.js',
+  'check-mark.js',
+  'topology.js',
+  'ink-graph.js',
+  'symbol.js',
+  'explained-ink.js',
+  'layout.js',
+  'profiles.js',
+  'trace.js',
+  'confidence.js',
+  'validation.js'
+);
+
+self.onmessage = function(evt) {
+  const { id, strokes, options } = evt.data;
+
+  try {
+    self.postMessage({ id, result: BallotValidation.validateMark(strokes, options) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
@@ -3,409 +3,1074 @@
  * Core validation algorithm implementing 7-category precedence system
  */
 
-window.BallotValidation = {
-  /**
-   * Validate a ballot mark
-   * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
-   * @param {Object} options - Options {debug: boolean}
-   * @returns {Object} Validation result {valid, label, invalid_type, reason, debug}
-   */
-  validateMark: function(strokes, options = { debug: false }) {
-    const debugData = {
-      allIntersections: [],
-      bestCandidate: null,
-      clusters: [],
-      info: ''
-    };
-
-    // (0) WAITING - Check if empty
-    if (strokes.length === 0) {
-      return {
-        valid: null,
-        label: 'รอการทำเครื่องหมาย',
-        invalid_type: null,
-        reason: '',
-        debug: {}
-      };
-    }
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./geometry'), require('./ink'), require('./preprocessing'), require('./retrace'), require('./continuity'), require('./scribble'), require('./intersection'), require('./arm-extension'), require('./topology'), require('./ink-graph'), require('./explained-ink'), require('./check-mark'), require('./symbol'), require('./spatial-index'), require('./layout'), require('./profiles'), require('./trace'), require('./confidence'));
+  } else {
+    root.BallotValidation = factory(root.BallotGeometry, root.BallotInk, root.BallotPreprocessing, root.BallotRetrace, root.BallotContinuity, root.BallotScribble, root.BallotIntersection, root.BallotArmExtension, root.BallotTopology, root.BallotInkGraph, root.BallotExplainedInk, root.BallotCheckMark, root.BallotSymbol, root.BallotSpatialIndex, root.BallotLayout, root.BallotProfiles, root.BallotTrace, root.BallotConfidence);
+  }
+})(typeof self !== 'undefined' ? self : this, function(BallotGeometry, BallotInk, BallotPreprocessing, BallotRetrace, BallotContinuity, BallotScribble, BallotIntersection, BallotArmExtension, BallotTopology, BallotInkGraph, BallotExplainedInk, BallotCheckMark, BallotSymbol, BallotSpatialIndex, BallotLayout, BallotProfiles, BallotTrace, BallotConfidence) {
+  return {
+    /**
+     * Validate a ballot mark
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
+     * @param {Object} options - Options {debug: boolean, box: vote box (default: profile VOTE_BOX),
+     *                           dpi: logical pixels per inch (default: profile DEVICE_DPI),
+     *                           profile: rule profile id or definition (default: BallotProfiles.DEFAULT_PROFILE),
+     *                           prepared: geometry already computed for these strokes (see BallotIncremental)}
+     * @returns {Object} Validation result {valid, label, invalid_type, reason, symbol, needs_review, provisional,
+     *                   stray_ink: {count, locations}, confidence, margin, trace, debug, profile}
+     */
+    validateMark: function(strokes, options = {}) {
+      const { profile, config } = this.resolveConfig(options);
 
-    // Preprocess strokes
-    let totalInkLength = 0;
-    const processedStrokes = [];
+      const result = this.evaluateMark(strokes, options, config);
+      const assessment = BallotConfidence.assess(result.trace, config);
 
-    for (const stroke of strokes) {
-      totalInkLength += BallotGeometry.strokeLength(stroke);
-      let processed = BallotPreprocessing.resampleStroke(stroke, BallotConfig.RESAMPLE_STEP_PX);
-      processed = BallotPreprocessing.simplifyRDP(processed, BallotConfig.SIMPLIFY_EPSILON_PX);
-      processedStrokes.push(processed);
-    }
+      result.confidence = assessment.confidence;
+      result.margin = assessment.margin;
 
-    // (1) BLANK - Check for insufficient ink (dot filter)
-    if (totalInkLength < BallotConfig.MIN_TOTAL_INK_LENGTH_PX) {
-      return {
-        valid: false,
-        label: 'บัตรเสีย',
-        invalid_type: 'blank',
-        reason: 'ไม่มีเครื่องหมาย',
-        debug: { totalInkLength }
-      };
-    }
+      // NEEDS_REVIEW - Borderline marks go to a person, keeping the engine's verdict as provisional
+      if (config.ENABLE_NEEDS_REVIEW && result.valid !== null && assessment.borderline) {
+        result.provisional = {
+          valid: result.valid,
+          invalid_type: result.invalid_type,
+          reason: result.reason
+        };
+        Object.assign(result, {
+          valid: null,
+          label: 'ต้องพิจารณา',
+          invalid_type: null,
+          reason: 'ค่าที่วัดได้ใกล้เกณฑ์ตัดสิน',
+          needs_review: true
+        });
+      }
+
+      result.profile = BallotProfiles.describe(profile);
+      return result;
+    },
+
+    /**
+     * Resolve the rule profile and effective config for a mark
+     * @param {Object} options - Options {box, dpi, profile} as for validateMark
+     * @returns {Object} {profile: resolved profile, config: profile config with the box and dpi
+     *                   overrides applied and every length in pixels}
+     */
+    resolveConfig: function(options = {}) {
+      const profile = BallotProfiles.resolve(options.profile);
+      let config = profile.config;
+      if (options.box || options.dpi) {
+        config = Object.assign({}, config);
+        if (options.box) config.VOTE_BOX = options.box;
+        if (options.dpi) config.DEVICE_DPI = options.dpi;
+      }
+      return { profile, config: BallotProfiles.scaleLengths(config) };
+    },
+
+    /**
+     * Smooth one raw stroke with the profile's SMOOTHING_FILTER
+     * @param {Array} stroke - Array of points {x, y, t?}
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Array} Smoothed stroke (the stroke itself when smoothing is off)
+     */
+    smoothStroke: function(stroke, config) {
+      if (config.SMOOTHING_FILTER === 'one-euro') {
+        return BallotPreprocessing.smoothOneEuro(stroke, config.SMOOTHING_MIN_CUTOFF_HZ,
+                                                 config.SMOOTHING_BETA, config.SMOOTHING_DERIVATIVE_CUTOFF_HZ);
+      }
+      if (config.SMOOTHING_FILTER === 'moving-average') {
+        return BallotPreprocessing.smoothMovingAverage(stroke, config.SMOOTHING_WINDOW_MS);
+      }
+      return stroke;
+    },
+
+    /**
+     * Smooth, resample and simplify one stroke
+     * @param {Array} stroke - Array of points {x, y, t?}
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Array} Processed stroke
+     */
+    preprocessStroke: function(stroke, config) {
+      const processed = BallotPreprocessing.resampleStroke(this.smoothStroke(stroke, config), config.RESAMPLE_STEP_PX);
+      return BallotPreprocessing.simplifyRDP(processed, config.SIMPLIFY_EPSILON_PX);
+    },
+
+    /**
+     * Preprocess one stroke and merge the parts that retrace the ink kept so far
+     * @param {Array} stroke - Array of points {x, y, t?}
+     * @param {Array} earlier - Segments of the merged ink of the strokes before it
+     * @param {Object} config - Resolved rule profile config
+     * @param {Object} index - Spatial index over the earlier segments (default: scan them all)
+     * @returns {Object} {drawn: processed stroke as drawn, pieces: processed pieces left after merging,
+     *                   length: resampled px, retracedLength: px merged into earlier ink}
+     */
+    mergeStroke: function(stroke, earlier, config, index = null) {
+      const resampled = BallotPreprocessing.resampleStroke(this.smoothStroke(stroke, config), config.RESAMPLE_STEP_PX);
+      const drawn = BallotPreprocessing.simplifyRDP(resampled, config.SIMPLIFY_EPSILON_PX);
+      const trimmed = BallotRetrace.trim(resampled, earlier, config, index);
 
-    // Check max points (anti-scribble)
-    let totalPoints = processedStrokes.reduce((sum, s) => sum + s.length, 0);
-    if (totalPoints > BallotConfig.MAX_POINTS_TOTAL) {
       return {
-        valid: false,
-        label: 'บัตรเสีย',
-        invalid_type: 'wrong_symbol',
-        reason: 'ทำเครื่องหมายแบบอื่น',
-        debug: { totalPoints }
+        drawn: drawn,
+        pieces: trimmed.retracedLength > 0
+          ? trimmed.pieces.map(piece => BallotPreprocessing.simplifyRDP(piece, config.SIMPLIFY_EPSILON_PX))
+          : [drawn],
+        length: trimmed.length,
+        retracedLength: trimmed.retracedLength
       };
-    }
+    },
+
+    /**
+     * Measure how far, and how much of, the ink of one processed stroke lies outside the vote box
+     * The ink reaches half its width past the centerline; BOX_TOLERANCE_PX is allowed
+     * beyond the nominal half-width, so heavier pressure leaves the box sooner
+     * @param {Array} stroke - Processed stroke
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Object} {maxOvershoot: ink edge px (negative = clearance to the nearest edge),
+     *                   centerlineOvershoot: centerline px, outsidePoint: first point beyond the tolerance or null,
+     *                   length: centerline px, outsideLength: centerline px outside the box,
+     *                   outsideArea: inked px² outside the box, midStrokeExit: the centerline leaves
+     *                   and re-enters the box away from both stroke ends}
+     */
+    measureOvershoot: function(stroke, config) {
+      const box = config.VOTE_BOX;
+      const limit = config.BOX_TOLERANCE_PX + config.STROKE_WIDTH_PX / 2;
+      let maxOvershoot = -Infinity;
+      let centerlineOvershoot = -Infinity;
+      let outsidePoint = null;
+      let length = 0;
+      let outsideLength = 0;
+      let outsideArea = 0;
 
-    // (2) OUTSIDE_BOX - Check if any ink goes outside
-    for (const stroke of processedStrokes) {
-      for (let i = 0; i < stroke.length - 1; i++) {
-        const p1 = stroke[i];
-        const p2 = stroke[i + 1];
+      // Sample the centerline every RESAMPLE_STEP_PX: {overshoot, radius, ds from the previous sample}
+      // (a dot, one point, as a line of no length)
+      const line = stroke.length === 1 ? [stroke[0], stroke[0]] : stroke;
+      const samples = [];
+      for (let i = 0; i < line.length - 1; i++) {
+        const p1 = line[i];
+        const p2 = line[i + 1];
         const d = BallotGeometry.dist(p1, p2);
-        const steps = Math.ceil(d / BallotConfig.RESAMPLE_STEP_PX);
+        const steps = Math.ceil(d / config.RESAMPLE_STEP_PX);
 
-        for (let j = 0; j <= steps; j++) {
-          const t = j / steps;
+        for (let j = samples.length > 0 ? 1 : 0; j <= steps; j++) {
+          const t = steps > 0 ? j / steps : 0;
           const pt = {
             x: p1.x + t * (p2.x - p1.x),
             y: p1.y + t * (p2.y - p1.y)
           };
 
-          if (!BallotGeometry.pointInRect(pt, BallotConfig.VOTE_BOX, BallotConfig.BOX_TOLERANCE_PX)) {
-            return {
-              valid: false,
-              label: 'บัตรเสีย',
-              invalid_type: 'outside_box',
-              reason: 'ล้ำออกนอกกรอบ',
-              debug: { outsidePoint: pt }
-            };
+          const overshoot = Math.max(
+            box.x - pt.x,
+            pt.x - (box.x + box.width),
+            box.y - pt.y,
+            pt.y - (box.y + box.height)
+          );
+          const radius = BallotInk.radiusAlong(p1, p2, t, config);
+          const inkOvershoot = overshoot + radius;
+          centerlineOvershoot = Math.max(centerlineOvershoot, overshoot);
+          if (inkOvershoot > maxOvershoot) {
+            maxOvershoot = inkOvershoot;
           }
+          if (!outsidePoint && inkOvershoot > limit) {
+            outsidePoint = pt;
+          }
+          samples.push({ overshoot, radius, ds: samples.length > 0 ? (steps > 0 ? d / steps : 0) : 0 });
+        }
+      }
+
+      // Ink width beyond the border across the line (the whole width once the centerline is 1 radius out)
+      const outsideWidth = (s) => Math.max(0, Math.min(2 * s.radius, s.overshoot + s.radius));
+      for (let k = 1; k < samples.length; k++) {
+        const a = samples[k - 1];
+        const b = samples[k];
+        length += b.ds;
+        outsideArea += (outsideWidth(a) + outsideWidth(b)) / 2 * b.ds;
+
+        // Centerline outside: the part of the step past the border, by linear interpolation
+        if (a.overshoot > 0 && b.overshoot > 0) {
+          outsideLength += b.ds;
+        } else if (a.overshoot > 0 || b.overshoot > 0) {
+          outsideLength += b.ds * Math.max(a.overshoot, b.overshoot) / Math.abs(a.overshoot - b.overshoot);
+        }
+      }
+
+      // An exit that starts and ends away from the stroke's ends is not an arm tip
+      let midStrokeExit = false;
+      for (let k = 1; k < samples.length - 1; k++) {
+        if (samples[k].overshoot > 0 && samples[k - 1].overshoot <= 0) {
+          let end = k;
+          while (end < samples.length - 1 && samples[end + 1].overshoot > 0) end++;
+          if (end < samples.length - 1) midStrokeExit = true;
         }
       }
-    }
 
-    // Build segments and find intersections
-    const segments = BallotIntersection.buildSegments(processedStrokes);
-    const intersections = BallotIntersection.findAllIntersections(segments);
+      return { maxOvershoot, centerlineOvershoot, outsidePoint, length, outsideLength, outsideArea, midStrokeExit };
+    },
 
-    debugData.allIntersections = intersections;
+    /**
+     * Find stray ink: pen taps and specks apart from the mark
+     * A line (strokes joined across pen skips) no longer than STRAY_MAX_LENGTH_PX is stray,
+     * unless all the ink is that small
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
+     * @param {Object} continuity - Lines from BallotContinuity.reconstruct()
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Object} {groups: indices of the stray lines in continuity.groups, lines: the stray lines,
+     *                   count, locations: [{x, y, length}] (center and ink length of each)}
+     */
+    findStrayInk: function(strokes, continuity, config) {
+      const lines = BallotContinuity.join(strokes, continuity.groups);
+      const groups = [];
+      lines.forEach((line, i) => {
+        if (line.length > 0 && BallotGeometry.strokeLength(line) <= config.STRAY_MAX_LENGTH_PX) groups.push(i);
+      });
+      if (groups.length === lines.filter(line => line.length > 0).length) {
+        return { groups: [], lines: [], count: 0, locations: [] };
+      }
 
-    // (4) NO_CROSS - Check if no intersections found
-    if (intersections.length === 0) {
       return {
-        valid: false,
-        label: 'บัตรเสีย',
-        invalid_type: 'no_cross',
-        reason: 'ไม่มีจุดตัดแบบกากบาท',
-        debug: { intersections: 0 }
+        groups: groups,
+        lines: groups.map(i => lines[i]),
+        count: groups.length,
+        locations: groups.map(i => ({
+          x: lines[i].reduce((sum, p) => sum + p.x, 0) / lines[i].length,
+          y: lines[i].reduce((sum, p) => sum + p.y, 0) / lines[i].length,
+          length: BallotGeometry.strokeLength(lines[i])
+        }))
       };
-    }
+    },
+
+    /**
+     * Locate a cross candidate in the vote box
+     * @param {Object} candidate - Cross candidate {point, extensions, armAngles}
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Object} Position from BallotLayout.positionInBox() plus armsInside: share of each arm's length inside the box
+     */
+    measurePosition: function(candidate, config) {
+      const box = config.VOTE_BOX;
+      const center = candidate.point;
+      const position = BallotLayout.positionInBox(center, box);
+      position.armsInside = candidate.extensions.map((length, i) => {
+        const rad = candidate.armAngles[i] * Math.PI / 180;
+        const tip = { x: center.x + Math.cos(rad) * length, y: center.y + Math.sin(rad) * length };
+        return BallotLayout.fractionInBox(center, tip, box);
+      });
+      return position;
+    },
 
-    // Cluster intersections for multi-mark detection
-    const clusters = BallotTopology.clusterIntersections(intersections, BallotConfig.CROSS_CLUSTER_EPS_PX);
-    debugData.clusters = clusters;
+    /**
+     * Find where strokes cross each other anywhere on a ballot
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
+     * @param {Object} layout - Validated layout
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Array} Crossings [{x, y, strokes: [i, j]}] (indices into strokes)
+     */
+    findStrokeCrossings: function(strokes, layout, config) {
+      // Intersections are searched for inside the vote box: make it the whole layout
+      const ballotConfig = Object.assign({}, config, { VOTE_BOX: BallotLayout.bounds(layout) });
+      const segments = BallotIntersection.buildSegments(strokes.map(stroke => this.preprocessStroke(stroke, ballotConfig)));
+      const index = BallotSpatialIndex.build(segments, ballotConfig);
+      return BallotIntersection.findAllIntersections(segments, ballotConfig, index)
+        .filter(inter => inter.seg1.strokeIndex !== inter.seg2.strokeIndex)
+        .map(inter => ({ x: inter.x, y: inter.y, strokes: [inter.seg1.strokeIndex, inter.seg2.strokeIndex] }));
+    },
 
-    // Analyze each cluster to determine if it's a valid cross center
-    for (const cluster of clusters) {
-      let hasValidCross = false;
+    /**
+     * Run the precedence stages against a resolved config
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
+     * @param {Object} options - Options {debug: boolean, prepared: precomputed geometry
+     *                           {drawnStrokes, processedStrokes, retrace, totalInkLength, overshoots, segments,
+     *                           index, intersections}}
+     * @param {Object} config - Resolved rule profile config
+     * @returns {Object} Validation result {valid, label, invalid_type, reason, stray_ink, position, trace, debug}
+     */
+    evaluateMark: function(strokes, options, config) {
+      const trace = BallotTrace.create();
+      const debugData = {
+        allIntersections: [],
+        bestCandidate: null,
+        clusters: [],
+        trace: trace
+      };
 
-      for (const inter of cluster.points) {
-        const result = BallotArmExtension.measure4ArmExtension(
-          { x: inter.x, y: inter.y },
-          inter.seg1,
-          inter.seg2,
-          processedStrokes
-        );
+      // Reason a mark that would be valid goes to a person instead (set by a stage's 'review' policy)
+      let reviewReason = null;
+      let strayInk = { count: 0, locations: [] };
+      let position = null;
 
-        if (result.valid) {
-          hasValidCross = true;
-          break;
+      const finish = (fields) => {
+        const result = Object.assign({
+          valid: false,
+          label: 'บัตรเสีย',
+          invalid_type: null,
+          reason: '',
+          symbol: null,
+          needs_review: false,
+          provisional: null,
+          stray_ink: strayInk,
+          position: position,
+          trace: trace,
+          debug: options.debug ? debugData : {}
+        }, fields);
+
+        if (reviewReason && result.valid === true) {
+          Object.assign(result, {
+            valid: null,
+            label: 'ต้องพิจารณา',
+            reason: reviewReason,
+            needs_review: true,
+            provisional: { valid: true, invalid_type: null, reason: '' }
+          });
+        }
+        return result;
+      };
+
+      // (0) WAITING - Check if empty
+      if (strokes.length === 0) {
+        return finish({ valid: null, label: 'รอการทำเครื่องหมาย' });
+      }
+
+      // Strokes split by a pen skip are joined back into the one line the voter drew
+      let continuity = BallotContinuity.reconstruct(strokes, config);
+
+      // Stray ink (pen taps, specks) is reported, and left out of the cross stages unless the profile
+      // counts it; it is still ink on the ballot, so the symbol drawn and the box border see it
+      const stray = this.findStrayInk(strokes, continuity, config);
+      const strayPolicy = config.STRAY_INK_POLICY;
+      const excludeStray = stray.count > 0 && strayPolicy !== 'count';
+      if (excludeStray) {
+        const kept = continuity.groups.filter((group, i) => !stray.groups.includes(i));
+        continuity = {
+          count: kept.length,
+          groups: kept,
+          joins: continuity.joins.filter(join => kept.some(group => group.includes(join.to)))
+        };
+      }
+      strayInk = { count: stray.count, locations: stray.locations };
+      debugData.strayInk = strayInk;
+
+      // Preprocess strokes and merge retraced ink (or reuse geometry prepared stroke by stroke;
+      // it covers every stroke, so not once stray ink is left out)
+      // drawnStrokes keep every pass of the pen (pen skips joined); processedStrokes are the merged ink later stages see
+      const prepared = excludeStray ? null : options.prepared || null;
+      let totalInkLength = 0;
+      let drawnStrokes = [];
+      let processedStrokes = [];
+      let retrace = { length: 0, retracedLength: 0 };
+      const strayStrokes = excludeStray ? stray.lines.map(line => this.preprocessStroke(line, config)) : [];
+
+      if (prepared) {
+        totalInkLength = prepared.totalInkLength;
+        drawnStrokes = prepared.drawnStrokes;
+        processedStrokes = prepared.processedStrokes;
+        retrace = prepared.retrace;
+      } else {
+        const kept = [];
+        let keptIndex = BallotSpatialIndex.build(kept, config);
+        for (const stroke of strokes) totalInkLength += BallotGeometry.strokeLength(stroke);
+        for (const stroke of BallotContinuity.join(strokes, continuity.groups)) {
+          const merged = this.mergeStroke(stroke, kept, config, keptIndex);
+          drawnStrokes.push(merged.drawn);
+          retrace.length += merged.length;
+          retrace.retracedLength += merged.retracedLength;
+          for (const piece of merged.pieces) {
+            for (const seg of BallotIntersection.buildSegments([piece], processedStrokes.length)) kept.push(seg);
+            processedStrokes.push(piece);
+          }
+          keptIndex = BallotSpatialIndex.build(kept, config);
+        }
+      }
+
+      // Raw and smoothed input side by side in the debug overlay
+      if (config.SMOOTHING_FILTER !== 'none') {
+        debugData.rawStrokes = strokes;
+        debugData.smoothedStrokes = strokes.map(stroke => this.smoothStroke(stroke, config));
+      }
+
+      // Name what was drawn instead of a cross (wrong_symbol and no_cross rejections)
+      // from every pass of the pen, so a back-and-forth fill still reads as a scribble,
+      // and with stray ink, so a face's dot eyes still make it a face
+      const recognizeSymbol = (intersections = null, index = null) => {
+        const recognized = retrace.retracedLength > 0 || strayStrokes.length > 0
+          ? BallotSymbol.recognize(drawnStrokes.concat(strayStrokes), config)
+          : BallotSymbol.recognize(processedStrokes, config, intersections, index);
+        debugData.symbol = recognized;
+        return recognized;
+      };
+      const wrongSymbol = (reason, intersections, index) => {
+        const recognized = recognizeSymbol(intersections, index);
+        return finish({
+          invalid_type: 'wrong_symbol',
+          reason: recognized.label ? `${reason} (${recognized.label})` : reason,
+          symbol: recognized.symbol
+        });
+      };
+
+      // (1) BLANK - Check for insufficient ink (dot filter)
+      BallotTrace.record(trace, 'blank', {
+        measured: totalInkLength,
+        threshold: config.MIN_TOTAL_INK_LENGTH_PX,
+        comparison: '>=',
+        unit: 'px',
+        passed: totalInkLength >= config.MIN_TOTAL_INK_LENGTH_PX
+      });
+      if (totalInkLength < config.MIN_TOTAL_INK_LENGTH_PX) {
+        return finish({ invalid_type: 'blank', reason: 'ไม่มีเครื่องหมาย' });
+      }
+
+      // Stray ink: left out ('ignore'), analysed with the mark ('count'), or decided by the profile
+      BallotTrace.record(trace, 'stray_ink', {
+        measured: stray.count,
+        unit: 'specks',
+        passed: stray.count === 0 || strayPolicy !== 'invalid',
+        details: {
+          policy: strayPolicy,
+          locations: stray.locations,
+          note: stray.count > 0 ? `${stray.count} stray (${strayPolicy})` : ''
         }
+      });
+      if (stray.count > 0 && strayPolicy === 'invalid') {
+        return finish({ invalid_type: 'extra_writing', reason: 'มีจุดหรือรอยหมึกนอกเครื่องหมาย' });
+      }
+      if (stray.count > 0 && strayPolicy === 'review') {
+        reviewReason = 'มีจุดหรือรอยหมึกนอกเครื่องหมาย ต้องให้เจ้าหน้าที่พิจารณา';
       }
 
-      cluster.isCrossValid = hasValidCross;
+      // (1a) SCRIBBLE - Ink scribbled over or the box filled in, counting retraced passes
+      const scribble = BallotScribble.measure(drawnStrokes, config);
+      const scribbled = BallotScribble.classify(scribble, config);
+      debugData.scribble = scribble;
+      const scribbleDetails = {
+        boxCoverage: scribble.boxCoverage,
+        density: scribble.density,
+        overlap: scribble.overlap,
+        turns: scribble.turns,
+        note: `${scribble.turns.toFixed(1)} turns, density ${Math.round(scribble.density * 100)}%, ` +
+              `overlap ${Math.round(scribble.overlap * 100)}%`
+      };
+      // A scribble is decided by the turning; otherwise the box coverage is compared with the fill-in threshold
+      BallotTrace.record(trace, 'scribble', scribbled === 'scribbled' ? {
+        measured: scribble.turns,
+        threshold: config.SCRIBBLE_MIN_TURNS,
+        comparison: '<',
+        unit: 'turns',
+        passed: false,
+        details: scribbleDetails
+      } : {
+        measured: scribble.boxCoverage,
+        threshold: config.SCRIBBLE_FILL_MIN_COVERAGE,
+        comparison: '<',
+        unit: 'ratio',
+        passed: scribbled === null,
+        details: scribbleDetails
+      });
+      if (scribbled) {
+        const symbol = scribbled === 'filled' ? 'filled' : 'scribble';
+        return finish({ invalid_type: 'scribble', reason: BallotSymbol.LABELS[symbol], symbol: symbol });
+      }
 
-      // NEW: Count unique strokes across all intersections in this cluster
-      const uniqueStrokesInCluster = new Set();
-      for (const inter of cluster.points) {
-        if (inter.seg1 && inter.seg1.strokeIndex !== undefined) {
-          uniqueStrokesInCluster.add(inter.seg1.strokeIndex);
+      // Strokes joined across pen skips (informational; the count drives the stroke-count rules)
+      BallotTrace.record(trace, 'continuity', {
+        measured: continuity.count,
+        unit: 'strokes',
+        passed: true,
+        details: {
+          strokes: strokes.length,
+          groups: continuity.groups,
+          joins: continuity.joins,
+          note: continuity.groups.filter(g => g.length > 1).map(g => 'joined ' + g.map(i => i + 1).join('+')).join(', ')
         }
-        if (inter.seg2 && inter.seg2.strokeIndex !== undefined) {
-          uniqueStrokesInCluster.add(inter.seg2.strokeIndex);
+      });
+
+      // Share of the ink that went over earlier ink and was merged into it (informational)
+      const retracedRatio = retrace.length > 0 ? retrace.retracedLength / retrace.length : 0;
+      BallotTrace.record(trace, 'retrace', {
+        measured: retrace.retracedLength,
+        unit: 'px',
+        passed: true,
+        details: {
+          retracedRatio: retracedRatio,
+          inkLength: retrace.length,
+          strokes: strokes.length,
+          mergedStrokes: processedStrokes.length,
+          note: `retraced ${Math.round(retracedRatio * 100)}%`
         }
+      });
+
+      // (2) OUTSIDE_BOX - Measure the farthest the inked area overshoots the box edges
+      // (negative when all ink stays inside: the clearance to the nearest edge)
+      // (stray ink included: a speck past the border is ink outside the box)
+      const overshoots = prepared
+        ? prepared.overshoots
+        : processedStrokes.concat(strayStrokes).map(stroke => this.measureOvershoot(stroke, config));
+      let maxOvershoot = -Infinity;
+      let centerlineOvershoot = -Infinity;
+      let outsidePoint = null;
+      let inkLength = 0;
+      let outsideLength = 0;
+      let outsideArea = 0;
+      let midStrokeExit = false;
+
+      for (const overshoot of overshoots) {
+        maxOvershoot = Math.max(maxOvershoot, overshoot.maxOvershoot);
+        centerlineOvershoot = Math.max(centerlineOvershoot, overshoot.centerlineOvershoot);
+        outsidePoint = outsidePoint || overshoot.outsidePoint;
+        inkLength += overshoot.length;
+        outsideLength += overshoot.outsideLength;
+        outsideArea += overshoot.outsideArea;
+        midStrokeExit = midStrokeExit || overshoot.midStrokeExit;
       }
-      cluster.strokesAtCluster = uniqueStrokesInCluster.size;
-    }
+      const outsideRatio = inkLength > 0 ? outsideLength / inkLength : 0;
 
-    // Count cross-valid clusters that are far apart
-    const validClusters = clusters.filter(c => c.isCrossValid);
+      // How the ink meets the border: grazes (only the ink edge crosses it), arm tip (stroke ends
+      // run a little past it) or substantial (more ink outside, or a stroke leaving and coming back)
+      let category = 'inside';
+      if (centerlineOvershoot > 0) {
+        category = !midStrokeExit && outsideRatio <= config.OUTSIDE_TIP_MAX_RATIO ? 'arm_tip' : 'substantial';
+      } else if (maxOvershoot > 0) {
+        category = 'grazes';
+      }
 
-    // Calculate adaptive scale reference based on average arm length of valid crosses
-    let scaleReference = 60;  // Default fallback (typical arm length)
+      // The profile decides each category; 'tolerance' rejects only ink beyond BOX_TOLERANCE_PX
+      const outsidePolicy = {
+        inside: 'valid',
+        grazes: config.OUTSIDE_GRAZE_POLICY,
+        arm_tip: config.OUTSIDE_TIP_POLICY,
+        substantial: config.OUTSIDE_SUBSTANTIAL_POLICY
+      }[category];
+      const leftBox = outsidePolicy === 'invalid' || (outsidePolicy === 'tolerance' && outsidePoint !== null);
 
-    if (validClusters.length > 0) {
-      // Collect all valid cross candidates to calculate scale
-      const validCrossArmLengths = [];
+      // Ink inside the box, or a tolerance policy, compares the measurement; the other policies decide by category
+      const byTolerance = category === 'inside' || outsidePolicy === 'tolerance';
+      BallotTrace.record(trace, 'outside_box', {
+        measured: maxOvershoot,
+        threshold: byTolerance ? config.BOX_TOLERANCE_PX + config.STROKE_WIDTH_PX / 2 : null,
+        comparison: byTolerance ? '<=' : null,
+        unit: 'px',
+        passed: !leftBox,
+        details: {
+          outsidePoint,
+          centerlineOvershoot,
+          outsideLength,
+          outsideArea,
+          outsideRatio,
+          category,
+          policy: outsidePolicy,
+          note: category === 'inside' ? '' : category.replace('_', ' ') + ' (' + outsidePolicy + ')'
+        }
+      });
+      if (leftBox) {
+        return finish({ invalid_type: 'outside_box', reason: 'ล้ำออกนอกกรอบ' });
+      }
+      if (outsidePolicy === 'review') {
+        reviewReason = 'หมึกล้ำขอบกรอบ ต้องให้เจ้าหน้าที่พิจารณา';
+      }
 
-      for (const cluster of validClusters) {
-        for (const inter of cluster.points) {
-          const result = BallotArmExtension.measure4ArmExtension(
+      // Build segments and find intersections
+      const segments = prepared ? prepared.segments : BallotIntersection.buildSegments(processedStrokes);
+      const index = prepared ? prepared.index : BallotSpatialIndex.build(segments, config);
+      const intersections = prepared
+        ? prepared.intersections
+        : BallotIntersection.findAllIntersections(segments, config, index);
+
+      debugData.allIntersections = intersections;
+
+      // (4) NO_CROSS - Check if no intersections found, unless the ink is a check mark
+      const checkMark = intersections.length === 0 ? BallotCheckMark.detect(processedStrokes, config) : null;
+      if (checkMark) debugData.checkMark = checkMark;
+      const isCheckMark = checkMark !== null && checkMark.detected;
+
+      // Strokes that almost cross: a gapped cross, which the profile's policy decides
+      const gapped = intersections.length === 0 && !isCheckMark
+        ? BallotIntersection.findGapIntersections(segments, config, index)
+        : [];
+      debugData.gappedCrosses = gapped;
+
+      // Crossings the cross stages below work from
+      let crossings = intersections;
+
+      if (gapped.length > 0) {
+        const gap = gapped[0].gap;
+        const policy = config.CROSS_GAP_POLICY;
+        BallotTrace.record(trace, 'no_cross', {
+          measured: gap,
+          threshold: config.CROSS_GAP_MAX_PX,
+          comparison: '<=',
+          unit: 'px',
+          passed: policy !== 'invalid',
+          details: {
+            gap: gap,
+            point: { x: gapped[0].x, y: gapped[0].y },
+            note: `gapped cross ${gap.toFixed(1)} px (${policy})`
+          }
+        });
+
+        if (policy === 'invalid') {
+          return finish({
+            invalid_type: 'no_cross',
+            reason: 'ไม่มีจุดตัดแบบกากบาท',
+            symbol: recognizeSymbol(intersections, index).symbol
+          });
+        }
+        if (policy === 'review') {
+          reviewReason = 'เส้นกากบาทไม่ตัดกัน ต้องให้เจ้าหน้าที่พิจารณา';
+        }
+        crossings = gapped;
+      } else {
+        BallotTrace.record(trace, 'no_cross', {
+          measured: intersections.length,
+          threshold: 1,
+          comparison: '>=',
+          unit: 'intersections',
+          passed: intersections.length > 0 || isCheckMark,
+          details: isCheckMark ? { note: 'check mark' } : {}
+        });
+        if (intersections.length === 0 && !isCheckMark) {
+          return finish({
+            invalid_type: 'no_cross',
+            reason: 'ไม่มีจุดตัดแบบกากบาท',
+            symbol: recognizeSymbol(intersections, index).symbol
+          });
+        }
+      }
+
+      // The stages every accepted mark passes last, from its center and arms: a cross candidate,
+      // or a tick the profile accepts (the tick's vertex and limbs)
+      const placeMark = (candidate, symbol = null) => {
+        // (5c) CENTER_POSITION - The mark's center must lie in the profile's inner region of the box
+        // (CENTER_MIN_EDGE_DIST_PX inside every edge); the position is reported either way
+        const centerPolicy = config.CENTER_POSITION_POLICY;
+        const center = symbol === 'tick' ? 'มุมของเครื่องหมายถูก' : 'จุดตัดของกากบาท';
+        const centerRuled = config.CENTER_MIN_EDGE_DIST_PX > 0 && centerPolicy !== 'valid';
+        const offCenter = config.CENTER_MIN_EDGE_DIST_PX > 0 && position.edgeDistance < config.CENTER_MIN_EDGE_DIST_PX;
+        BallotTrace.record(trace, 'center_position', {
+          measured: position.edgeDistance,
+          threshold: centerRuled ? config.CENTER_MIN_EDGE_DIST_PX : null,
+          comparison: centerRuled ? '>=' : null,
+          unit: 'px',
+          passed: !(offCenter && centerPolicy === 'invalid'),
+          details: {
+            x: position.x,
+            y: position.y,
+            edges: position.edges,
+            armsInside: position.armsInside,
+            policy: centerPolicy,
+            note: `center at ${Math.round(position.x * 100)}%, ${Math.round(position.y * 100)}% of the box; ` +
+                  `arms ${Math.round(Math.min(...position.armsInside) * 100)}%+ inside`
+          }
+        });
+        if (offCenter && centerPolicy === 'invalid') {
+          return finish({ invalid_type: 'center_position', reason: `${center}ชิดขอบช่องเกินไป` });
+        }
+        if (offCenter && centerPolicy === 'review') {
+          reviewReason = `${center}ชิดขอบช่อง ต้องให้เจ้าหน้าที่พิจารณา`;
+        }
+
+        // (6) EXTRA_WRITING - Adaptive explained ink ratio check based on stroke count (pen skips joined)
+        let explainedInkThreshold = config.MIN_EXPLAINED_INK_RATIO;  // 3+ strokes (strict - catches extra writing)
+
+        if (continuity.count === 1) {
+          // Single stroke: lenient (allows natural loops/curves)
+          explainedInkThreshold = config.MIN_EXPLAINED_INK_RATIO_SINGLE;
+        } else if (continuity.count === 2) {
+          // Two strokes: moderate (standard crosses)
+          explainedInkThreshold = config.MIN_EXPLAINED_INK_RATIO_DOUBLE;
+        }
+
+        const explainedRatio = BallotExplainedInk.calculateExplainedInkRatio(
+          candidate, processedStrokes, segments, config, index);
+
+        BallotTrace.record(trace, 'explained_ink', {
+          measured: explainedRatio,
+          threshold: explainedInkThreshold,
+          comparison: '>=',
+          unit: 'ratio',
+          passed: explainedRatio >= explainedInkThreshold,
+          details: { strokeCount: continuity.count }
+        });
+        if (explainedRatio < explainedInkThreshold) {
+          return finish({ invalid_type: 'extra_writing', reason: 'มีสัญลักษณ์หรือข้อความเพิ่มเติม' });
+        }
+
+        // (7) VALID - All checks passed
+        return finish({ valid: true, label: 'บัตรดี', symbol: symbol });
+      };
+
+      // (4a) CHECK_MARK - A tick instead of a cross: the profile's policy decides
+      if (isCheckMark) {
+        const policy = config.CHECK_MARK_POLICY;
+        BallotTrace.record(trace, 'check_mark', {
+          measured: checkMark.limbRatio,
+          threshold: config.CHECK_MARK_MIN_LIMB_RATIO,
+          comparison: '>=',
+          unit: 'ratio',
+          passed: policy === 'valid',
+          details: {
+            policy: policy,
+            angle: checkMark.angle,
+            vertex: checkMark.vertex,
+            shortLimb: checkMark.shortLimb,
+            longLimb: checkMark.longLimb,
+            note: policy
+          }
+        });
+
+        const rejected = { valid: false, invalid_type: 'check_mark', reason: 'ทำเครื่องหมายถูกแทนกากบาท' };
+        if (policy === 'valid') {
+          const tick = BallotCheckMark.candidate(checkMark);
+          position = this.measurePosition(tick, config);
+          debugData.bestCandidate = tick;
+          debugData.position = position;
+          return placeMark(tick, 'tick');
+        }
+        if (policy === 'review') {
+          return finish({
+            valid: null,
+            label: 'ต้องพิจารณา',
+            reason: 'ทำเครื่องหมายถูกแทนกากบาท ต้องให้เจ้าหน้าที่พิจารณา',
+            needs_review: true,
+            provisional: rejected
+          });
+        }
+        return finish({ invalid_type: rejected.invalid_type, reason: rejected.reason });
+      }
+
+      // Arm extension per intersection, measured once and shared by the stages below
+      const armsAt = new Map();
+      const measureArms = (inter) => {
+        if (!armsAt.has(inter)) {
+          armsAt.set(inter, BallotArmExtension.measure4ArmExtension(
             { x: inter.x, y: inter.y },
             inter.seg1,
             inter.seg2,
-            processedStrokes
-          );
+            processedStrokes,
+            config,
+            index
+          ));
+        }
+        return armsAt.get(inter);
+      };
+
+      // Cluster intersections for multi-mark detection
+      const clusters = BallotTopology.clusterIntersections(crossings, config.CROSS_CLUSTER_EPS_PX);
+      debugData.clusters = clusters;
+
+      // Analyze each cluster to determine if it's a valid cross center
+      for (const cluster of clusters) {
+        let hasValidCross = false;
+
+        for (const inter of cluster.points) {
+          const result = measureArms(inter);
 
           if (result.valid) {
-            // Average of all 4 arm extensions for this cross
-            const avgArmLength = Object.values(result.extensions)
-              .reduce((sum, len) => sum + len, 0) / 4;
-            validCrossArmLengths.push(avgArmLength);
+            hasValidCross = true;
+            break;
+          }
+        }
+
+        cluster.isCrossValid = hasValidCross;
+
+        // Count unique strokes across all intersections in this cluster
+        const uniqueStrokesInCluster = new Set();
+        for (const inter of cluster.points) {
+          if (inter.seg1 && inter.seg1.strokeIndex !== undefined) {
+            uniqueStrokesInCluster.add(inter.seg1.strokeIndex);
+          }
+          if (inter.seg2 && inter.seg2.strokeIndex !== undefined) {
+            uniqueStrokesInCluster.add(inter.seg2.strokeIndex);
           }
         }
+        cluster.strokesAtCluster = uniqueStrokesInCluster.size;
       }
 
-      if (validCrossArmLengths.length > 0) {
-        // Use median to be robust against outliers
-        validCrossArmLengths.sort((a, b) => a - b);
-        const mid = Math.floor(validCrossArmLengths.length / 2);
-        scaleReference = validCrossArmLengths.length % 2 === 0
-          ? (validCrossArmLengths[mid - 1] + validCrossArmLengths[mid]) / 2
-          : validCrossArmLengths[mid];
+      // Count cross-valid clusters that are far apart
+      const validClusters = clusters.filter(c => c.isCrossValid);
+
+      // Calculate adaptive scale reference based on average arm length of valid crosses
+      let scaleReference = 60;  // Default fallback (typical arm length)
+
+      if (validClusters.length > 0) {
+        // Collect all valid cross candidates to calculate scale
+        const validCrossArmLengths = [];
+
+        for (const cluster of validClusters) {
+          for (const inter of cluster.points) {
+            const result = measureArms(inter);
+
+            if (result.valid) {
+              // Average of all 4 arm extensions for this cross
+              const avgArmLength = Object.values(result.extensions)
+                .reduce((sum, len) => sum + len, 0) / 4;
+              validCrossArmLengths.push(avgArmLength);
+            }
+          }
+        }
+
+        if (validCrossArmLengths.length > 0) {
+          // Use median to be robust against outliers
+          validCrossArmLengths.sort((a, b) => a - b);
+          const mid = Math.floor(validCrossArmLengths.length / 2);
+          scaleReference = validCrossArmLengths.length % 2 === 0
+            ? (validCrossArmLengths[mid - 1] + validCrossArmLengths[mid]) / 2
+            : validCrossArmLengths[mid];
+        }
       }
-    }
 
-    // (3) MULTI_MARK / INTENTIONAL INVALIDATION - Scale-adaptive cluster separation check
-    if (validClusters.length >= 2) {
+      // (3) MULTI_MARK / INTENTIONAL INVALIDATION - Scale-adaptive cluster separation check
       // Calculate adaptive thresholds based on cross scale
-      const retraceThreshold = scaleReference * BallotConfig.RETRACE_TOLERANCE_RATIO;
-      const intentionalThreshold = scaleReference * BallotConfig.INTENTIONAL_MIN_RATIO;
-      const multiMarkThreshold = scaleReference * BallotConfig.MULTI_MARK_MIN_RATIO;
-
-      let hasIntentionalInvalidation = false;
-      let hasMultiMark = false;
+      const intentionalThreshold = scaleReference * config.INTENTIONAL_MIN_RATIO;
+      const multiMarkThreshold = scaleReference * config.MULTI_MARK_MIN_RATIO;
 
+      // Widest separation between valid cross clusters decides the category:
+      // >= multiMarkThreshold is a second mark, >= intentionalThreshold is deliberate
+      // spoiling, anything closer is retracing of a single cross (valid, continue)
+      let maxSeparation = 0;
       for (let i = 0; i < validClusters.length; i++) {
         for (let j = i + 1; j < validClusters.length; j++) {
           const d = BallotGeometry.dist(validClusters[i].centroid, validClusters[j].centroid);
-
-          if (d >= multiMarkThreshold) {
-            hasMultiMark = true;
-            break;
-          } else if (d >= intentionalThreshold) {
-            hasIntentionalInvalidation = true;
-            // Don't break - keep checking for multi-mark (higher priority)
-          }
-          // else: d < intentionalThreshold means retracing (valid, continue)
+          maxSeparation = Math.max(maxSeparation, d);
         }
-        if (hasMultiMark) break;
       }
 
+      const hasMultiMark = maxSeparation >= multiMarkThreshold;
+      const hasIntentionalInvalidation = !hasMultiMark && maxSeparation >= intentionalThreshold;
+      // With fewer than two cross clusters there is no separation to compare
+      const separated = validClusters.length > 1;
+
+      BallotTrace.record(trace, 'multi_mark', {
+        measured: maxSeparation,
+        threshold: separated ? (hasMultiMark ? multiMarkThreshold : intentionalThreshold) : null,
+        comparison: separated ? '<' : null,
+        unit: 'px',
+        passed: !hasMultiMark && !hasIntentionalInvalidation,
+        details: {
+          note: hasMultiMark ? 'multi-mark' : hasIntentionalInvalidation ? 'intentional' : '',
+          clusters: clusters.length,
+          validClusters: validClusters.length,
+          scaleReference: scaleReference,
+          retraceThreshold: scaleReference * config.RETRACE_TOLERANCE_RATIO,
+          intentionalThreshold: intentionalThreshold,
+          multiMarkThreshold: multiMarkThreshold
+        }
+      });
+
       // Multi-mark takes precedence (more severe violation)
       if (hasMultiMark) {
-        return {
-          valid: false,
-          label: 'บัตรเสีย',
-          invalid_type: 'multi_mark',
-          reason: 'ทำเครื่องหมายมากกว่า 1 จุด',
-          debug: {
-            validClusters: validClusters.length,
-            scaleReference: scaleReference.toFixed(1),
-            threshold: multiMarkThreshold.toFixed(1)
-          }
-        };
+        return finish({ invalid_type: 'multi_mark', reason: 'ทำเครื่องหมายมากกว่า 1 จุด' });
       }
 
       // Intentional invalidation (medium distance relative to cross size)
       if (hasIntentionalInvalidation) {
-        return {
-          valid: false,
-          label: 'บัตรเสีย',
+        return finish({
           invalid_type: 'wrong_symbol',
           reason: 'ทำเครื่องหมายเพิ่มเติมเพื่อให้บัตรเสีย',
-          debug: {
-            validClusters: validClusters.length,
-            scaleReference: scaleReference.toFixed(1),
-            threshold: intentionalThreshold.toFixed(1)
-          }
-        };
+          symbol: recognizeSymbol(intersections, index).symbol
+        });
       }
 
-      // All clusters very close (< intentionalThreshold) - treat as single cross from retracing
-      // Continue to next validation steps...
-    }
+      // Find all cross candidates across all intersections
+      const crossCandidates = [];
 
-    // Find all cross candidates across all intersections
-    const crossCandidates = [];
-
-    for (const inter of intersections) {
-      const result = BallotArmExtension.measure4ArmExtension(
-        { x: inter.x, y: inter.y },
-        inter.seg1,
-        inter.seg2,
-        processedStrokes
-      );
-
-      if (result.valid) {
-        // NEW: Find which cluster this intersection belongs to
-        let strokesAtCluster = 2;  // Default: just the 2 strokes at this intersection
-        for (const cluster of clusters) {
-          if (cluster.points.includes(inter)) {
-            strokesAtCluster = cluster.strokesAtCluster;
-            break;
+      for (const inter of crossings) {
+        const result = measureArms(inter);
+
+        if (result.valid) {
+          // Find which cluster this intersection belongs to
+          let strokesAtCluster = 2;  // Default: just the 2 strokes at this intersection
+          for (const cluster of clusters) {
+            if (cluster.points.includes(inter)) {
+              strokesAtCluster = cluster.strokesAtCluster;
+              break;
+            }
           }
+
+          crossCandidates.push({
+            point: { x: inter.x, y: inter.y },
+            minExtension: result.minExtension,
+            extensions: Object.values(result.extensions),
+            armAngles: result.armAngles,
+            straightness: result.straightness,
+            pathSegments: result.pathSegments,
+            strokesAtIntersection: strokesAtCluster  // Use cluster stroke count
+          });
         }
+      }
 
-        crossCandidates.push({
-          point: { x: inter.x, y: inter.y },
-          minExtension: result.minExtension,
-          extensions: Object.values(result.extensions),
-          armAngles: result.armAngles,
-          strokesAtIntersection: strokesAtCluster  // NEW: Use cluster stroke count
-        });
+      // Find best candidate (highest minExtension)
+      const bestCandidate = crossCandidates.length > 0
+        ? crossCandidates.reduce((best, curr) => curr.minExtension > best.minExtension ? curr : best)
+        : null;
+
+      debugData.bestCandidate = bestCandidate;
+      if (bestCandidate) {
+        position = this.measurePosition(bestCandidate, config);
+        debugData.position = position;
       }
-    }
 
-    // (5) WRONG_SYMBOL - Part A: No valid cross candidates
-    if (crossCandidates.length === 0) {
-      return {
-        valid: false,
-        label: 'บัตรเสีย',
-        invalid_type: 'wrong_symbol',
-        reason: 'ทำเครื่องหมายแบบอื่น',
-        debug: { crossCandidates: 0 }
+      // (5) WRONG_SYMBOL - Part A: No valid cross candidates
+      const armDetails = {
+        crossCandidates: crossCandidates.length,
+        strokesAtCenter: bestCandidate ? bestCandidate.strokesAtIntersection : 0,
+        mode: config.ARM_MEASURE_MODE
       };
-    }
+      if (bestCandidate) {
+        armDetails.armBalance = bestCandidate.minExtension / Math.max(...bestCandidate.extensions);
+        if (bestCandidate.straightness) {
+          armDetails.straightness = Object.values(bestCandidate.straightness);
+          armDetails.note = `arms followed along the ink, straightness ${Math.min(...armDetails.straightness).toFixed(2)}+`;
+        }
+      }
+      BallotTrace.record(trace, 'wrong_symbol', {
+        measured: bestCandidate ? bestCandidate.minExtension : 0,
+        threshold: config.MIN_ARM_EXTENSION_PX,
+        comparison: '>=',
+        unit: 'px',
+        passed: bestCandidate !== null,
+        details: armDetails
+      });
+      if (!bestCandidate) {
+        return wrongSymbol('ทำเครื่องหมายแบบอื่น', intersections, index);
+      }
 
-    // Find best candidate (highest minExtension)
-    const bestCandidate = crossCandidates.reduce((best, curr) =>
-      curr.minExtension > best.minExtension ? curr : best
-    );
+      // (5) WRONG_SYMBOL - Part B: Shape at the cross center, from the ink skeleton graph
+      // A cross leaves its center in 4 arms; a star in more. A loop through the center
+      // (a pen curl at the crossing) is allowed and left to the explained ink check
+      const graph = BallotInkGraph.build(processedStrokes, crossings, config);
+      const junction = BallotInkGraph.analyzeJunction(graph, bestCandidate.point, config);
+      const shape = BallotInkGraph.classifyJunction(junction);
+      debugData.inkGraph = graph;
+      debugData.junction = junction;
+      // Angular branch count around the center, kept in the trace for comparison with the graph
+      const branchCount = BallotTopology.countGlobalBranches(bestCandidate.point, processedStrokes, config, index);
 
-    debugData.bestCandidate = bestCandidate;
+      const topology = {
+        measured: junction.arms,
+        threshold: 4,
+        comparison: '=',
+        unit: 'arms',
+        passed: shape === 'cross' || shape === 'loop',
+        details: {
+          shape: shape,
+          degree: junction.degree,
+          loops: junction.loops,
+          graph: BallotInkGraph.summarize(graph),
+          branchCount: branchCount,
+          strokeCount: continuity.count,
+          note: `${shape === 'none' ? 'no cross shape' : shape}; ${branchCount} angular branches`
+        }
+      };
+
+      // Arm balance: a 3+ stroke mark with 3 angular branches may be a star or a cross with an
+      // extra mark; balanced arms are the cross (the profile may check every cross)
+      if (topology.passed && (config.ARM_BALANCE_SCOPE === 'all' || (branchCount === 3 && continuity.count >= 3))) {
+        const armBalanceRatio = bestCandidate.minExtension / Math.max(...bestCandidate.extensions);
+        topology.details.armBalanceRatio = armBalanceRatio;
+        topology.details.minArmBalanceRatio = config.MIN_ARM_BALANCE_RATIO;
+        topology.passed = armBalanceRatio >= config.MIN_ARM_BALANCE_RATIO;
+        topology.details.note += topology.passed ? '; balanced arms' : '; imbalanced arms';
+      }
 
-    // (5) WRONG_SYMBOL - Part B: Global topology check (star rejection)
-    const branchCount = BallotTopology.countGlobalBranches(bestCandidate.point, processedStrokes);
+      BallotTrace.record(trace, 'branch_topology', topology);
+      if (!topology.passed) {
+        return wrongSymbol(shape === 'none' ? 'ไม่มีรูปร่างกากบาท' : 'ทำเครื่องหมายแบบอื่น', intersections, index);
+      }
 
-    debugData.info = `Intersections: ${intersections.length}\n` +
-                     `Clusters: ${clusters.length} (${validClusters.length} valid)\n` +
-                     `Cross candidates: ${crossCandidates.length}\n` +
-                     `Best min arm: ${bestCandidate.minExtension.toFixed(1)}px\n` +
-                     `Strokes at center: ${bestCandidate.strokesAtIntersection}\n` +
-                     `Global branches: ${branchCount}`;
+      return placeMark(bestCandidate);
+    },
 
-    // Check for minimum angular diversity
-    if (branchCount < 2) {
-      return {
-        valid: false,
-        label: 'บัตรเสีย',
-        invalid_type: 'wrong_symbol',
-        reason: 'ไม่มีรูปร่างกากบาท',
-        debug: { branchCount }
-      };
-    }
+    /**
+     * Validate a whole ballot with one vote box per number plus the no-vote box
+     * @param {Array} strokes - Array of strokes (each stroke is array of points {x, y})
+     * @param {Object} layout - Layout {boxes: [{id, number, type, x, y, width, height}]}
+     * @param {Object} options - Options {debug: boolean, dpi: logical pixels per inch, profile: rule profile id or definition}
+     * @returns {Object} Ballot result {valid, label, outcome, choice, invalid_type, reason, boxes, profile}
+     */
+    validateBallot: function(strokes, layout, options = {}) {
+      BallotLayout.validateLayout(layout);
 
-    // NEW: Enhanced branch count check with stroke-count and balance validation
-    if (branchCount > 2) {
-      // Special case: branchCount = 3 could be natural loop OR star
-      if (branchCount === 3) {
-        // TIER 1: Check stroke count first (natural loop detection)
-        if (strokes.length <= 2) {
-          // 1-2 strokes with 3 branches → Natural loop at intersection → ALLOW
-          // This is a valid drawing style where the loop creates extra angular directions
-          // Will be further validated by explained ink ratio (55% for 1 stroke, 62% for 2 strokes)
-          debugData.info += `\nStroke count: ${strokes.length} (natural loop allowed)`;
-        } else {
-          // TIER 2: 3+ strokes with 3 branches → Check arm balance
-          // Could be intentional star OR cross with separate emphasis mark
-          const minArm = bestCandidate.minExtension;
-          const maxArm = Math.max(...bestCandidate.extensions);
-          const armBalanceRatio = minArm / maxArm;
-
-          debugData.info += `\nStroke count: ${strokes.length}, Arm balance: ${(armBalanceRatio * 100).toFixed(1)}%`;
-
-          // If arms are well-balanced (ratio >= 0.70), it's a strong cross with emphasis
-          if (armBalanceRatio < 0.70) {
-            // Imbalanced arms with 3+ strokes → likely intentional star
-            return {
-              valid: false,
-              label: 'บัตรเสีย',
-              invalid_type: 'wrong_symbol',
-              reason: 'ทำเครื่องหมายแบบอื่น',
-              debug: {
-                branchCount,
-                strokeCount: strokes.length,
-                armBalanceRatio,
-                reason: 'imbalanced_arms'
-              }
-            };
-          }
-          // else: balanced arms with 3+ strokes → continue to ink ratio check
-        }
-      } else {
-        // branchCount >= 4: Too many branches, definitely not a simple cross
+      // Ballot-wide steps take '%' lengths relative to the layout's smallest box
+      // (each box's mark is still validated against that box)
+      const unitBox = layout.boxes.reduce((smallest, box) =>
+        Math.min(box.width, box.height) < Math.min(smallest.width, smallest.height) ? box : smallest);
+      const { profile, config } = this.resolveConfig({ box: unitBox, dpi: options.dpi, profile: options.profile });
+      // A mark drawn over a box border belongs to the box holding its cross center
+      const crossings = this.findStrokeCrossings(strokes, layout, config);
+      const assignment = BallotLayout.assignStrokes(strokes, layout, config, crossings);
+      const boxes = layout.boxes.map(box => {
+        const boxStrokes = assignment.byBox.get(box.id);
         return {
-          valid: false,
-          label: 'บัตรเสีย',
-          invalid_type: 'wrong_symbol',
-          reason: 'ทำเครื่องหมายแบบอื่น',
-          debug: { branchCount }
+          id: box.id,
+          number: box.type === BallotLayout.NO_VOTE ? null : box.number,
+          type: box.type || BallotLayout.CANDIDATE,
+          strokeCount: boxStrokes.length,
+          result: this.validateMark(boxStrokes, { debug: options.debug, box: box, dpi: options.dpi, profile: profile })
         };
+      });
+
+      const ballotResult = (fields) => Object.assign({
+        valid: false,
+        label: 'บัตรเสีย',
+        outcome: 'spoiled',
+        choice: null,
+        invalid_type: null,
+        reason: '',
+        boxes: boxes,
+        profile: BallotProfiles.describe(profile)
+      }, fields);
+
+      // (0) WAITING - Check if empty
+      if (strokes.length === 0) {
+        return ballotResult({ valid: null, label: 'รอการทำเครื่องหมาย', outcome: 'waiting' });
       }
-    }
 
-    // (6) EXTRA_WRITING - Adaptive explained ink ratio check based on stroke count
-    // Calculate adaptive threshold
-    let explainedInkThreshold = BallotConfig.MIN_EXPLAINED_INK_RATIO;  // Default: 70% for 3+ strokes
+      // Ink that belongs to no box spoils the ballot unless it is only a dot
+      const unassignedInk = assignment.unassigned
+        .reduce((sum, stroke) => sum + BallotGeometry.strokeLength(stroke), 0);
+      if (unassignedInk >= config.MIN_TOTAL_INK_LENGTH_PX) {
+        return ballotResult({ invalid_type: 'outside_box', reason: 'ล้ำออกนอกกรอบ' });
+      }
 
-    if (strokes.length === 1) {
-      // Single stroke: lenient (allows natural loops/curves)
-      explainedInkThreshold = BallotConfig.MIN_EXPLAINED_INK_RATIO_SINGLE;  // 50%
-    } else if (strokes.length === 2) {
-      // Two strokes: moderate (standard crosses)
-      explainedInkThreshold = BallotConfig.MIN_EXPLAINED_INK_RATIO_DOUBLE;  // 62%
-    }
-    // else: 3+ strokes use default 70% (strict - catches extra writing)
+      // Boxes whose ink amounts to more than a dot count as marked
+      // (borderline boxes are judged on their provisional verdict)
+      const verdict = (r) => r.needs_review ? r.provisional : r;
+      const marked = boxes.filter(b => b.strokeCount > 0 && verdict(b.result).invalid_type !== 'blank');
 
-    const explainedRatio = BallotExplainedInk.calculateExplainedInkRatio(bestCandidate, processedStrokes, segments);
+      if (marked.length === 0) {
+        return ballotResult({ invalid_type: 'blank', reason: 'ไม่มีเครื่องหมาย' });
+      }
 
-    debugData.info += `\nExplained ratio: ${(explainedRatio * 100).toFixed(1)}%`;
+      // OVER_VOTE - Marks in more than one box
+      if (marked.length > 1) {
+        return ballotResult({
+          outcome: 'over_vote',
+          invalid_type: 'over_vote',
+          reason: 'ทำเครื่องหมายมากกว่า 1 ช่อง'
+        });
+      }
 
-    if (explainedRatio < explainedInkThreshold) {
-      return {
-        valid: false,
-        label: 'บัตรเสีย',
-        invalid_type: 'extra_writing',
-        reason: 'มีสัญลักษณ์หรือข้อความเพิ่มเติม',
-        debug: {
-          explainedRatio,
-          threshold: explainedInkThreshold,
-          strokeCount: strokes.length
-        }
-      };
-    }
+      const chosen = marked[0];
 
-    // (7) VALID - All checks passed
-    return {
-      valid: true,
-      label: 'บัตรดี',
-      invalid_type: null,
-      reason: '',
-      debug: options.debug ? debugData : {
-        intersections: intersections.length,
-        crossCandidates: crossCandidates.length,
-        minExtension: bestCandidate.minExtension,
-        branchCount,
-        explainedRatio
+      // NEEDS_REVIEW - The only marked box is borderline
+      if (chosen.result.needs_review) {
+        return ballotResult({
+          valid: null,
+          label: 'ต้องพิจารณา',
+          outcome: 'needs_review',
+          choice: chosen.result.provisional.valid ? chosen.number : null,
+          reason: chosen.result.reason
+        });
       }
-    };
-  }
-};
+
+      if (!chosen.result.valid) {
+        return ballotResult({
+          invalid_type: chosen.result.invalid_type,
+          reason: chosen.result.reason
+        });
+      }
+
+      if (chosen.type === BallotLayout.NO_VOTE) {
+        return ballotResult({ valid: true, label: 'ไม่ประสงค์ลงคะแนน', outcome: 'no_vote' });
+      }
+
+      return ballotResult({ valid: true, label: 'บัตรดี', outcome: 'vote', choice: chosen.number });
+    }
+  };
+});
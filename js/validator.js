@@ -0,0 +1,140 @@
+/**
+ * Validation Client
+ * Promise API over the validation worker, with in-thread fallback
+ */
+
+(function() {
+  // Worker script, relative to the page (index.html and test-recorder.html sit at the root)
+  const WORKER_URL = 'js/validation-worker.js';
+
+  // Module-private state
+  let worker = null;
+  let workerFailed = false;
+  let pending = null;  // {id, resolve, reject, strokes, options, timer: set while waiting to run in-thread}
+  let nextId = 1;
+
+  /**
+   * Run validation on the UI thread
+   * @param {Array} strokes - Array of strokes
+   * @param {Object} options - validateMark options
+   * @returns {Promise} Resolves with the validation result
+   */
+  function runInThread(strokes, options) {
+    return new Promise(resolve => resolve(BallotValidation.validateMark(strokes, options)));
+  }
+
+  /**
+   * Start the worker on first use
+   * @returns {Worker|null} Worker, or null when validation must run in-thread
+   */
+  function getWorker() {
+    if (worker || workerFailed) return worker;
+    if (!BallotConfig.USE_VALIDATION_WORKER || typeof Worker === 'undefined') return null;
+
+    let instance;
+    try {
+      instance = new Worker(WORKER_URL);
+    } catch (e) {
+      // file:// pages and strict CSPs refuse workers
+      console.warn('Validation worker unavailable, validating in-thread:', e.message);
+      workerFailed = true;
+      return null;
+    }
+
+    instance.onmessage = (evt) => {
+      const { id, result, error } = evt.data;
+      if (instance !== worker || !pending || pending.id !== id) return;
+
+      const request = pending;
+      pending = null;
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+
+    // The script failed to load: give up on the worker and finish the request in-thread
+    instance.onerror = (evt) => {
+      evt.preventDefault();
+      if (instance !== worker) return;
+      console.warn('Validation worker failed, validating in-thread:', evt.message);
+      worker.terminate();
+      worker = null;
+      workerFailed = true;
+
+      if (pending) {
+        const request = pending;
+        pending = null;
+        runInThread(request.strokes, request.options).then(request.resolve, request.reject);
+      }
+    };
+
+    worker = instance;
+    return worker;
+  }
+
+  window.BallotValidator = {
+    /**
+     * Validate a mark off the UI thread, superseding any evaluation still running
+     * @param {Array} strokes - Array of strokes
+     * @param {Object} options - validateMark options {debug, box, profile}
+     * @returns {Promise} Resolves with the validation result; rejects with
+     *                    error.cancelled = true if a newer request or cancel() supersedes it
+     */
+    validate: function(strokes, options = {}) {
+      this.cancel();
+
+      const target = getWorker();
+      if (!target) {
+        // In-thread runs wait a tick, so a newer request or cancel() can still supersede them
+        return new Promise((resolve, reject) => {
+          const request = { id: nextId++, resolve, reject, strokes, options };
+          request.timer = setTimeout(() => {
+            if (pending !== request) return;
+            pending = null;
+            runInThread(strokes, options).then(resolve, reject);
+          }, 0);
+          pending = request;
+        });
+      }
+
+      return new Promise((resolve, reject) => {
+        pending = { id: nextId++, resolve, reject, strokes, options };
+        target.postMessage({ id: pending.id, strokes, options });
+      });
+    },
+
+    /**
+     * Cancel the evaluation in flight, if any
+     * The worker cannot be interrupted mid-run, so it is restarted; an in-thread run
+     * that has not started yet is dropped
+     * @returns {boolean} True if an evaluation was cancelled
+     */
+    cancel: function() {
+      if (!pending) return false;
+
+      const request = pending;
+      pending = null;
+      if (request.timer !== undefined) {
+        clearTimeout(request.timer);
+      } else {
+        worker.terminate();
+        worker = null;
+      }
+
+      const error = new Error('Validation cancelled');
+      error.cancelled = true;
+      request.reject(error);
+      return true;
+    },
+
+    /**
+     * Whether validation currently runs in a worker
+     * @returns {boolean} False after falling back to in-thread validation
+     */
+    usesWorker: function() {
+      return getWorker() !== null;
+    }
+  };
+})();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Validation Client Check
+ * Load js/validator.js as the browser does and exercise its in-thread fallback
+ * (Node has no Worker): results must match validateMark, and cancel() or a newer
+ * request must reject the request it supersedes
+ *
+ * Usage: node test/validator.js [suite.json=test-cases-sample.json]
+ * Exits 1 if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { BallotConfig, BallotValidation, BallotTestSuite } = require('..');
+
+const suiteFile = process.argv[2] || path.join(__dirname, '..', 'test-cases-sample.json');
+
+/**
+ * Load validator.js into a page-like context holding the engine globals
+ * @returns {Object} The context's BallotValidator
+ */
+function loadValidator() {
+  const window = { BallotConfig, BallotValidation };
+  const context = vm.createContext(Object.assign(window, { window, console, setTimeout, clearTimeout, Promise }));
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'validator.js'), 'utf8'), context);
+  return window.BallotValidator;
+}
+
+/**
+ * Verdict fields compared between the client and a direct validateMark run
+ * @param {Object} result - Validation result
+ * @returns {string} Comparable verdict
+ */
+function verdictOf(result) {
+  return JSON.stringify([result.valid, result.invalid_type, result.needs_review, result.reason]);
+}
+
+/**
+ * Settle a promise into {value} or {error}
+ * @param {Promise} promise - Promise to settle
+ * @returns {Promise} Resolves with {value} or {error}
+ */
+function settle(promise) {
+  return promise.then(value => ({ value }), error => ({ error }));
+}
+
+async function main() {
+  const data = JSON.parse(fs.readFileSync(suiteFile, 'utf8'));
+  const tests = BallotTestSuite.parseSuite(data);
+  const profile = BallotTestSuite.suiteProfile(data);
+  const validator = loadValidator();
+  const failures = [];
+  const check = (ok, message) => {
+    if (!ok) failures.push(message);
+  };
+
+  check(validator.usesWorker() === false, 'usesWorker() should be false without a Worker');
+  check(validator.cancel() === false, 'cancel() with nothing in flight should return false');
+
+  // Each verdict matches validateMark on the same strokes
+  for (const test of tests) {
+    const options = { profile: profile };
+    const outcome = await settle(validator.validate(test.strokes, options));
+    const expected = verdictOf(BallotValidation.validateMark(test.strokes, options));
+    check(outcome.value && verdictOf(outcome.value) === expected,
+      `${test.id}: expected ${expected}, got ${outcome.error ? outcome.error.message : verdictOf(outcome.value)}`);
+  }
+
+  // cancel() rejects the request in flight
+  const strokes = tests[0].strokes;
+  const cancelled = settle(validator.validate(strokes));
+  check(validator.cancel() === true, 'cancel() with a request in flight should return true');
+  const cancelOutcome = await cancelled;
+  check(cancelOutcome.error && cancelOutcome.error.cancelled === true, 'cancel() should reject with error.cancelled');
+
+  // A newer request supersedes the one in flight
+  const superseded = settle(validator.validate(strokes));
+  const latest = settle(validator.validate(strokes));
+  const [first, second] = await Promise.all([superseded, latest]);
+  check(first.error && first.error.cancelled === true, 'a newer request should reject the one in flight');
+  check(second.value && verdictOf(second.value) === verdictOf(BallotValidation.validateMark(strokes)),
+    'the newer request should resolve with the validateMark verdict');
+
+  for (const message of failures) console.log(`FAIL  ${message}`);
+  console.log(`${failures.length === 0 ? 'ok' : 'failed'}: in-thread validator, ${tests.length} cases, cancellation`);
+  return failures.length === 0 ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});